@@ -0,0 +1,3252 @@
+/**
+ * KuroNeko simulation core
+ * 
+ * Everything that decides what happens in a run - the world, the cats, the
+ * owner, the ghosts, waves, power-ups, scoring and lives - with no access to
+ * the DOM, the canvas or storage, so it runs the same in the browser and in
+ * Node. The core holds one game at a time:
+ * - createGame(config) starts a run
+ * - step(inputs) advances it by one fixed tick
+ * - getState() returns a plain snapshot of it
+ * Rendering, the HUD, sound and persistence live in game.js, which reads the
+ * exported state and reacts to the events passed to config.onEvent
+ */
+
+// ===== GAME TIMING CONSTANTS =====
+
+/**
+ * Fixed-timestep simulation settings
+ * The simulation always advances in TICK_DURATION steps regardless of the
+ * display refresh rate, so every speed and timer below is defined per second
+ */
+export const TICK_RATE = 60;                 // Simulation ticks per second
+export const TICK_DURATION = 1 / TICK_RATE;  // Seconds simulated per tick
+
+export let simulationTime = 0;   // Total simulated time in the current run (seconds)
+export let tickCount = 0;        // Ticks simulated in the current run
+
+// ===== RANDOM NUMBER GENERATION =====
+
+/**
+ * Create a seedable pseudo-random number generator (mulberry32)
+ * Every random choice in the simulation goes through this so that a run can
+ * be reproduced exactly from its seed and recorded input
+ * 
+ * @param {number} seed - 32-bit unsigned integer seed
+ * @returns {function(): number} - Generator returning floats in [0, 1); its
+ *   getState() returns a seed that continues the sequence where it stands
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    const next = function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => state;
+    return next;
+}
+
+/**
+ * Pick a fresh seed for a new run
+ * This is the only place the simulation is allowed to use Math.random()
+ * 
+ * @returns {number} - 32-bit unsigned integer seed
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export let runSeed = generateSeed();     // Seed of the current run
+let random = createRng(runSeed);  // Simulation random source
+
+// ===== WORLD DIMENSIONS =====
+
+/**
+ * World configuration
+ * Generated maps use the default size; custom maps may set their own
+ */
+const DEFAULT_WORLD_WIDTH = 2400;   // World width of generated maps
+const DEFAULT_WORLD_HEIGHT = 2400;  // World height of generated maps
+export let WORLD_WIDTH = DEFAULT_WORLD_WIDTH;    // Current world width in pixels
+export let WORLD_HEIGHT = DEFAULT_WORLD_HEIGHT;  // Current world height in pixels
+
+// ===== ENEMY ARCHETYPES =====
+
+/**
+ * Enemy definition registry
+ * Every enemy kind is described here; spawning, updating and drawing all look
+ * up the enemy's entry instead of branching on its kind.
+ * 
+ * Common fields:
+ * - label: name shown in the statistics
+ * - sprite / filter: key into the renderer's SPRITE_SHEETS and an optional canvas filter to tint it
+ * - radius: collision radius (the sprite is drawn at 3x this size)
+ * - speed: [min, max] movement speed in pixels per second
+ * - score: points awarded when the cat catches it
+ * - hp: catches needed to remove it (the cat knocks it back until then)
+ * - behavior: key into ENEMY_BEHAVIORS
+ * - spawnSound: optional key into SOUND_EFFECTS played when it appears
+ * - glow: color of its glow, trail and dissolve (white if omitted)
+ * - highlight: stands out on the minimap and off-screen arrows
+ * Remaining fields are tuning parameters for the enemy's behavior.
+ * When and how many of each kind appear is decided by WAVE_CONFIG
+ */
+export const ENEMY_TYPES = {
+    ghost: {
+        label: 'Ghost',
+        sprite: 'ghost',
+        radius: 10,
+        speed: [72, 120],
+        score: 1,
+        hp: 1,
+        behavior: 'chase'
+    },
+    red: {
+        label: 'Red ghost',
+        sprite: 'red',
+        radius: 10,
+        speed: [108, 180],                 // 50% faster than regular ghosts
+        score: 1,
+        hp: 1,
+        behavior: 'chase',
+        spawnSound: 'redSpawn',
+        glow: '#ff6b6b',
+        highlight: true
+    },
+    phantom: {
+        label: 'Phantom',
+        sprite: 'ghost',
+        filter: 'hue-rotate(180deg) saturate(3)',
+        radius: 10,
+        speed: [80, 110],
+        score: 2,
+        hp: 1,
+        behavior: 'phase',
+        glow: '#7fdbff',
+        visibleTime: 2,                    // Seconds solid between blinks
+        phasedTime: 1.2                    // Seconds invisible and uncatchable
+    },
+    splitter: {
+        label: 'Splitter',
+        sprite: 'ghost',
+        filter: 'sepia(1) hue-rotate(60deg) saturate(4)',
+        radius: 15,
+        speed: [55, 75],
+        score: 2,
+        hp: 1,
+        behavior: 'chase',
+        glow: '#c8e66b',
+        splitInto: 'splitling',            // Enemy type released when caught
+        splitCount: 2
+    },
+    splitling: {
+        label: 'Splitling',
+        sprite: 'ghost',
+        filter: 'sepia(1) hue-rotate(60deg) saturate(4)',
+        radius: 7,
+        speed: [110, 140],
+        score: 1,
+        hp: 1,
+        behavior: 'chase',
+        glow: '#c8e66b'
+    },
+    circler: {
+        label: 'Circler',
+        sprite: 'ghost',
+        filter: 'sepia(1) hue-rotate(220deg) saturate(4)',
+        radius: 10,
+        speed: [90, 110],
+        score: 2,
+        hp: 1,
+        behavior: 'circle',
+        glow: '#b18cff',
+        orbitRadius: 170,                  // Distance kept from the owner while circling
+        orbitTime: [2.5, 4.5],             // Seconds spent circling before diving
+        diveSpeedMultiplier: 2.2
+    },
+    charger: {
+        label: 'Charger',
+        sprite: 'red',
+        filter: 'brightness(0.6) saturate(2)',
+        radius: 13,
+        speed: [60, 80],
+        score: 3,
+        hp: 2,
+        behavior: 'charge',
+        spawnSound: 'redSpawn',
+        glow: '#ff6b6b',
+        highlight: true,
+        chargeRange: 280,                  // Distance at which it starts winding up
+        windupTime: 0.8,                   // Telegraph duration before dashing
+        dashSpeed: 420,
+        dashTime: 0.6,
+        recoverTime: 1.2
+    }
+};
+
+const ENEMY_HIT_INVULNERABILITY = 0.6; // Seconds a multi-hp enemy is immune after a hit
+const ENEMY_KNOCKBACK = 60;            // Pixels a multi-hp enemy is pushed away when hit
+
+// ===== WAVE DIFFICULTY CURVE =====
+
+/**
+ * Wave table - the whole difficulty curve lives here
+ * 
+ * Each wave lists how many of each enemy type it sends (keys of ENEMY_TYPES),
+ * the spawn rate in enemies per second ramping from the first value to the
+ * second as the wave progresses, and how many enemies may be alive at once.
+ * Enemies produced by other enemies (splitlings) are not listed.
+ * After the last listed wave, waves keep growing using the `endless` settings.
+ */
+export const WAVE_CONFIG = {
+    firstWaveDelay: 2,        // Seconds before wave 1 starts
+    intermission: 4,          // Seconds between a cleared wave and the next one
+    bannerTime: 2.5,          // Seconds the "Wave N" banner stays up
+    clearBonus: { base: 5, perWave: 2 }, // Bonus = base + perWave * wave number
+    waves: [
+        { enemies: { ghost: 6 },                                                  spawnRate: [0.6, 1.0], maxAlive: 6 },
+        { enemies: { ghost: 9, red: 1 },                                          spawnRate: [0.8, 1.2], maxAlive: 8 },
+        { enemies: { ghost: 10, red: 2, phantom: 1 },                             spawnRate: [0.9, 1.3], maxAlive: 9 },
+        { enemies: { ghost: 10, red: 2, phantom: 2, splitter: 1 },                spawnRate: [1.0, 1.4], maxAlive: 10 },
+        { enemies: { ghost: 12, red: 3, splitter: 2, circler: 1 },                spawnRate: [1.0, 1.5], maxAlive: 10 },
+        { enemies: { ghost: 12, red: 3, phantom: 2, circler: 2, charger: 1 },     spawnRate: [1.1, 1.6], maxAlive: 11 },
+        { enemies: { ghost: 14, red: 4, phantom: 2, splitter: 2, charger: 1 },    spawnRate: [1.2, 1.7], maxAlive: 12 },
+        { enemies: { ghost: 14, red: 4, phantom: 3, splitter: 2, circler: 2, charger: 2 }, spawnRate: [1.3, 1.8], maxAlive: 13 },
+        { enemies: { ghost: 16, red: 5, phantom: 3, splitter: 3, circler: 3, charger: 2 }, spawnRate: [1.4, 2.0], maxAlive: 14 },
+        { enemies: { ghost: 18, red: 6, phantom: 4, splitter: 3, circler: 3, charger: 3 }, spawnRate: [1.5, 2.2], maxAlive: 15 }
+    ],
+    endless: {
+        countGrowth: 1.12,    // Enemy counts multiply by this for every wave past the table
+        spawnRateGrowth: 0.1, // Added to both spawn rate values per extra wave
+        maxAliveGrowth: 1,    // Added to maxAlive per extra wave
+        maxAliveCap: 24       // Upper limit for maxAlive
+    }
+};
+
+/**
+ * Horde variant: every wave scaled up until hundreds of ghosts are on the
+ * field at once
+ */
+const HORDE_CONFIG = {
+    countMultiplier: 12,      // Enemies each wave sends, relative to the wave table
+    spawnRateMultiplier: 15,
+    maxAliveMultiplier: 30,
+    maxAliveCap: 600
+};
+
+// ===== OWNER AI TUNING =====
+
+/**
+ * Owner behavior parameters, one block per AI state
+ * 
+ * - wander: default stroll in a random direction, re-rolled every few seconds
+ * - flee: run from ghosts inside the threat radius when the cat is too far away
+ * - huddle: while scared and the cat is near, stay close to the cat
+ * - unstick: when blocked, probe around the wanted direction for a clear path
+ */
+const OWNER_AI = {
+    wander: {
+        speed: 48,                 // Pixels per second
+        turnInterval: [2, 6]       // Seconds between random direction changes
+    },
+    flee: {
+        speed: 80,
+        threatRadius: 200,         // Ghosts closer than this scare the owner
+        edgeAvoidance: 120         // Distance from the world edge where fleeing bends inward
+    },
+    huddle: {
+        speed: 70,
+        catRange: 350,             // Cat must be this close for the owner to run to it
+        followDistance: 45,        // Stops moving once this close to the cat
+        fearDuration: 2.5          // Seconds the owner stays scared after the last threat
+    },
+    unstick: {
+        stuckTime: 0.5,            // Seconds of blocked movement before reacting
+        probeDistance: 45,         // Look-ahead used to test escape directions
+        probeStep: Math.PI / 8,    // Angle between tested directions
+        commitTime: 0.8            // Seconds spent following the escape direction
+    }
+};
+
+// ===== CAT ABILITIES =====
+
+/**
+ * Active ability tuning
+ * Both abilities draw from a shared stamina pool that refills over time and
+ * have their own cooldowns
+ * 
+ * - pounce: a short dash in the movement (or facing) direction that catches
+ *   every ghost the cat passes through
+ * - hiss: a burst around the owner that stuns nearby ghosts and knocks them back
+ */
+export const CAT_ABILITIES = {
+    maxStamina: 100,
+    staminaRegen: 18,          // Stamina per second
+    pounce: {
+        cost: 30,
+        cooldown: 0.8,         // Seconds
+        speed: 900,            // Pixels per second while dashing
+        duration: 0.15         // Seconds (135px at full speed)
+    },
+    hiss: {
+        cost: 50,
+        cooldown: 5,
+        radius: 190,           // Reach around the owner
+        stunTime: 1.6,         // Seconds stunned ghosts stay frozen
+        knockback: 90          // Pixels ghosts are pushed away from the owner
+    }
+};
+
+// ===== POWER-UPS =====
+
+/**
+ * Power-up definitions
+ * Pickups appear on the ground near the owner and vanish if the cat doesn't
+ * collect them in time. Timed effects last `duration` seconds; `duration: null`
+ * means the effect lasts until it is used up; `instant` pickups apply at once
+ */
+export const POWERUP_TYPES = {
+    catnip: {
+        label: 'Catnip',
+        icon: '🌿',
+        color: '#7bed9f',
+        weight: 3,                 // Relative spawn chance
+        duration: 6,
+        catSpeedMultiplier: 1.5
+    },
+    bell: {
+        label: 'Bell',
+        icon: '🔔',
+        color: '#f7d794',
+        weight: 2,
+        duration: 6,
+        ghostSpeedMultiplier: 0.5
+    },
+    charm: {
+        label: 'Charm',
+        icon: '🧿',
+        color: '#a29bfe',
+        weight: 2,
+        duration: null             // Shields the owner from one hit
+    },
+    fish: {
+        label: 'Fish',
+        icon: '🐟',
+        color: '#74b9ff',
+        weight: 1,
+        instant: true              // Restores one life (never above MAX_LIVES)
+    }
+};
+
+const POWERUP_CONFIG = {
+    spawnInterval: [8, 14],        // Seconds between spawns
+    lifetime: 10,                  // Seconds a pickup stays on the ground
+    maxOnField: 2,
+    radius: 12,
+    spawnDistance: [150, 550]      // Distance from the owner
+};
+
+export const MAX_LIVES = 9;
+
+// ===== SCORING =====
+
+/**
+ * Scoring rules
+ * A catch is worth its enemy type's score, plus the close-call bonus when the
+ * enemy was about to reach the owner, times the combo multiplier. Quick
+ * successive catches build the combo; once its timer runs out the multiplier
+ * drops one step at a time. Staying alive and staying unhurt pay team bonuses
+ * over time
+ * 
+ * - combo: every `catchesPerStep` catches raise the multiplier by one, up to
+ *   `maxMultiplier`; each catch refills the timer to `window` seconds, each
+ *   lost step to `decayTime`; the owner losing a life breaks the combo
+ * - closeCall: extra points for catching an enemy within `radius` of the owner
+ * - survival: `points` for every `interval` seconds the run lasts
+ * - noDamage: every `interval` seconds without losing a life pays `points`
+ *   times the streak length, capped at `maxStreak`; losing a life restarts it
+ */
+export const SCORING = {
+    combo: {
+        catchesPerStep: 3,
+        maxMultiplier: 4,
+        window: 3,
+        decayTime: 1
+    },
+    closeCall: { radius: 100, points: 2 },
+    survival: { interval: 30, points: 10 },
+    noDamage: { interval: 20, points: 5, maxStreak: 5 }
+};
+
+// ===== GAME STATE VARIABLES =====
+
+export let gameRunning = false;       // False before the first run and once the owner is lost
+export let score = 0;                 // Current game score
+export let runVariant = 'standard';   // 'standard' or 'horde'
+export let highScore = 0;             // Score to beat, raised as the run passes it
+export let lives = MAX_LIVES;         // Player lives remaining
+export let newHighScore = false;      // Whether the current run beat the high score it started with
+export let runStats = null;           // Catches, lives lost and points by source in the current run
+export let scoring = null;            // Combo and bonus timers of the current run
+let benchmarkHorde = null;            // Benchmark horde settings, or null in normal play
+
+// ===== SIMULATION EVENTS =====
+
+/**
+ * Events passed to config.onEvent, for sound, effects, records and achievements,
+ * with the fields of each event's detail
+ * Listeners must not change the simulation, or replays would drift
+ */
+export const GAME_EVENTS = {
+    gameStarted: ['seed', 'players', 'variant'], // createGame() set up a new run (not sent on restoreGame)
+    waveStarted: ['number'],                     // The wave director began a wave
+    ghostSpawned: ['enemy'],                     // The wave director spawned a ghost of any type
+    redGhostSpawned: ['enemy'],                  // Sent right after ghostSpawned for a red ghost
+    ghostHit: ['enemy', 'cat'],                  // A multi-hp ghost lost one hp
+    // A ghost was caught (before it is removed); points already include bonus and multiplier
+    ghostCaught: ['enemy', 'points', 'cat', 'multiplier', 'closeCall'],
+    combo: ['count', 'multiplier'],              // The combo multiplier went up or down
+    bonus: ['kind', 'points'],                   // A 'survival' or 'noDamage' bonus was paid
+    charmUsed: [],                               // A charm absorbed a hit on the owner
+    ownerHit: ['lives'],                         // The owner lost a life
+    // The score passed the high score; recordBroken marks the first time a previous record falls in this run
+    highScore: ['score', 'recordBroken'],
+    gameOver: ['score']                          // The owner has no lives left
+};
+
+let eventListener = null;  // config.onEvent of the current game
+
+/**
+ * Report something that happened in the simulation
+ * 
+ * @param {string} type - Event name
+ * @param {Object} [detail] - Event data
+ */
+function emit(type, detail = {}) {
+    if (eventListener) {
+        eventListener(type, detail);
+    }
+}
+
+/**
+ * Create an event bus that checks events against a registry, so a misspelled
+ * event name or a missing detail field fails loudly instead of never firing
+ * Listeners run in the order they subscribed
+ * 
+ * @param {Object} [eventTypes] - Event name -> detail field names (like GAME_EVENTS)
+ * @returns {Object} - { on(type, listener), emit(type, detail) }; on() returns a
+ *   function that unsubscribes, and emit() can be passed as config.onEvent
+ */
+export function createEventBus(eventTypes = GAME_EVENTS) {
+    const listeners = {};
+    for (let type in eventTypes) {
+        listeners[type] = [];
+    }
+
+    const checkType = type => {
+        if (!listeners[type]) {
+            throw new Error(`Unknown event "${type}".`);
+        }
+    };
+
+    return {
+        on(type, listener) {
+            checkType(type);
+            listeners[type].push(listener);
+            return () => {
+                listeners[type] = listeners[type].filter(other => other !== listener);
+            };
+        },
+        emit(type, detail = {}) {
+            checkType(type);
+            for (let field of eventTypes[type]) {
+                if (!(field in detail)) {
+                    throw new Error(`Event "${type}" is missing "${field}".`);
+                }
+            }
+            for (let listener of listeners[type]) {
+                listener(detail, type);
+            }
+        }
+    };
+}
+
+// ===== GAME ENTITIES =====
+
+/**
+ * Create a cat entity - a player-controlled character
+ * Responsible for catching ghosts to protect the owner
+ * 
+ * @param {number} player - Player index into CAT_PLAYERS
+ * @param {number} x - Starting world X position
+ * @param {number} y - Starting world Y position
+ * @returns {Object} - New cat entity
+ */
+function createCat(player, x, y) {
+    return {
+        player: player,            // Player index, for input, tint and score
+        x: x,                      // World X position
+        y: y,                      // World Y position
+        prevX: x,                  // Position at the previous tick (for interpolation)
+        prevY: y,
+        radius: 15,                // Collision detection radius
+        speed: 210,                // Movement speed in pixels per second
+        facingLeft: false,         // Sprite orientation flag
+        stamina: CAT_ABILITIES.maxStamina,
+        pounceCooldown: 0,         // Seconds until pounce is ready
+        hissCooldown: 0,           // Seconds until hiss is ready
+        dashTimer: 0,              // Seconds of pounce dash remaining
+        dashX: 0,                  // Pounce direction (unit vector)
+        dashY: 0,
+        hissTime: -1,              // Simulation time of the last hiss (for its ring effect)
+        lastInput: 0,              // Previous tick's input, to detect key presses
+        score: 0                   // Points from this cat's catches
+    };
+}
+
+export let playerCount = 1;  // Cats in the current run (2 in co-op)
+export let cats = [createCat(0, WORLD_WIDTH / 2, WORLD_HEIGHT / 2)];  // One cat per player
+
+/**
+ * Owner entity - AI-controlled character that moves randomly
+ * The cat must protect this character from ghosts
+ */
+export let owner = {
+    x: WORLD_WIDTH / 2 + 100,  // World X position (offset from cat start)
+    y: WORLD_HEIGHT / 2 + 100, // World Y position
+    prevX: WORLD_WIDTH / 2 + 100, // Position at the previous tick (for interpolation)
+    prevY: WORLD_HEIGHT / 2 + 100,
+    radius: 12,                // Collision detection radius
+    aiState: 'wander',         // Current OWNER_AI state
+    direction: random() * Math.PI * 2, // Wander direction (radians)
+    changeDirectionTimer: 0,    // Seconds since the last direction change
+    changeDirectionAfter: 2,    // Seconds until the next direction change
+    fearTimer: 0,              // Seconds the owner will stay scared
+    stuckTimer: 0,             // Seconds movement has been blocked
+    unstickTimer: 0,           // Seconds left following the escape direction
+    unstickDirection: 0,       // Escape direction (radians)
+    facingLeft: false          // Sprite orientation flag
+};
+
+/**
+ * Dynamic game entity arrays
+ * These are populated and managed during gameplay
+ */
+export let enemies = [];    // Array of ghost enemies
+const enemyPool = [];  // Removed enemies waiting to be reused by createEnemy()
+export let obstacles = [];  // Array of static world obstacles
+
+// ===== INPUT FORMAT =====
+
+/**
+ * Per-tick input
+ * The simulation never reads devices directly; each tick it receives one
+ * integer, which is what the replay recorder stores. The low byte holds
+ * button flags and the next two bytes the movement vector, quantized to
+ * -MOVE_AXIS_SCALE..MOVE_AXIS_SCALE per axis. An input of 0 means idle
+ */
+export const INPUT_POUNCE = 16;
+export const INPUT_HISS = 32;
+const INPUT_BUTTONS = 0xFF;       // Mask of the button flags
+const MOVE_AXIS_SCALE = 100;      // Quantization steps per unit of movement
+
+/**
+ * Pack a movement vector and button flags into a per-tick input
+ * Vectors longer than 1 are scaled down, so diagonals aren't faster
+ * 
+ * @param {number} moveX - Horizontal movement, -1 (left) to 1 (right)
+ * @param {number} moveY - Vertical movement, -1 (up) to 1 (down)
+ * @param {number} buttons - Combination of INPUT_POUNCE / INPUT_HISS
+ * @returns {number} - Packed input
+ */
+export function packInput(moveX, moveY, buttons) {
+    const length = Math.sqrt(moveX * moveX + moveY * moveY);
+    if (length > 1) {
+        moveX /= length;
+        moveY /= length;
+    }
+    const x = Math.round(moveX * MOVE_AXIS_SCALE);
+    const y = Math.round(moveY * MOVE_AXIS_SCALE);
+    return (buttons & INPUT_BUTTONS) | ((x & 0xFF) << 8) | ((y & 0xFF) << 16);
+}
+
+/**
+ * Unpack the movement vector of a per-tick input
+ * 
+ * @param {number} input - Packed input
+ * @returns {Object} - { x, y } with a length of at most 1
+ */
+export function getInputMove(input) {
+    let x = ((input << 16) >> 24) / MOVE_AXIS_SCALE;  // Sign-extend the second byte
+    let y = ((input << 8) >> 24) / MOVE_AXIS_SCALE;   // Sign-extend the third byte
+    const length = Math.sqrt(x * x + y * y);
+    if (length > 1) {
+        x /= length;
+        y /= length;
+    }
+    return { x: x, y: y };
+}
+
+// ===== WORLD GENERATION =====
+
+/**
+ * World generation settings
+ * Maps are generated from the run seed, so the same seed always produces the
+ * same layout. Every theme shares the spawn-safe zones and the connectivity
+ * repair pass that guarantees every open area can be walked to
+ */
+const WORLD_GEN = {
+    safeRadius: 170,          // Obstacle-free radius around the cat and owner starts
+    walkClearance: 16,        // Clearance for the connectivity check (cat radius + 1)
+    maxRepairs: 80            // Obstacles the repair pass may remove before giving up
+};
+
+/**
+ * Layout themes
+ * `generate` fills an obstacle list using the world generator's own RNG;
+ * `groundTint` darkens the grass to set the mood
+ */
+export const WORLD_THEMES = {
+    field: {
+        label: 'Open Field',
+        groundTint: null,
+        generate: generateFieldLayout
+    },
+    graveyard: {
+        label: 'Graveyard',
+        groundTint: 'rgba(20, 15, 40, 0.35)',
+        generate: generateGraveyardLayout
+    },
+    maze: {
+        label: 'Hedge Maze',
+        groundTint: 'rgba(0, 30, 0, 0.2)',
+        generate: generateMazeLayout
+    }
+};
+
+export let worldTheme = 'field';  // Theme of the current map
+
+/**
+ * Starting positions of the cat and owner
+ * Also the centers of the spawn-safe zones on generated maps
+ */
+function getStartPositions() {
+    if (runMap) {
+        return { cat: { ...runMap.cat }, owner: { ...runMap.owner } };
+    }
+    return {
+        cat: { x: WORLD_WIDTH / 2, y: WORLD_HEIGHT / 2 },
+        owner: { x: WORLD_WIDTH / 2 + 100, y: WORLD_HEIGHT / 2 + 100 }
+    };
+}
+
+/**
+ * Generate the obstacles for a new map
+ * 
+ * @param {number} seed - Run seed; the map uses its own generator derived from it
+ * @param {string} themeChoice - Key into WORLD_THEMES, or 'random'
+ */
+function createObstacles(seed, themeChoice) {
+    const worldRandom = createRng(seed ^ 0x5BD1E995);
+    const themeIds = Object.keys(WORLD_THEMES);
+    const themeRoll = worldRandom(); // Always drawn, so the layout only depends on seed and theme
+    worldTheme = themeChoice in WORLD_THEMES ? themeChoice : themeIds[Math.floor(themeRoll * themeIds.length)];
+
+    obstacles = WORLD_THEMES[worldTheme].generate(worldRandom);
+    clearSafeZones();
+    ensureConnectivity();
+}
+
+/**
+ * Make an obstacle record
+ * `variant` is a stable random number the renderer uses for small details
+ * 
+ * @returns {Object} - Obstacle with x, y, width, height, kind, variant
+ */
+function makeObstacle(x, y, width, height, kind, worldRandom) {
+    return { x: x, y: y, width: width, height: height, kind: kind, variant: worldRandom() };
+}
+
+/**
+ * Check a candidate rectangle against already placed obstacles
+ * 
+ * @param {Object[]} placed - Obstacles placed so far
+ * @param {Object} rect - Candidate with x, y, width, height
+ * @param {number} spacing - Minimum gap between rectangles
+ * @returns {boolean} - True if the candidate keeps its distance from all of them
+ */
+function hasSpace(placed, rect, spacing) {
+    return placed.every(other =>
+        rect.x + rect.width + spacing <= other.x || other.x + other.width + spacing <= rect.x ||
+        rect.y + rect.height + spacing <= other.y || other.y + other.height + spacing <= rect.y);
+}
+
+/**
+ * Open field - loose clusters of rocks and bushes with wide gaps between them
+ * 
+ * @param {function(): number} worldRandom - World generator RNG
+ * @returns {Object[]} - Obstacles
+ */
+function generateFieldLayout(worldRandom) {
+    const placed = [];
+    for (let cluster = 0; cluster < 16; cluster++) {
+        const centerX = 100 + worldRandom() * (WORLD_WIDTH - 200);
+        const centerY = 100 + worldRandom() * (WORLD_HEIGHT - 200);
+        const kind = worldRandom() < 0.5 ? 'rock' : 'bush';
+        const count = 1 + Math.floor(worldRandom() * 3);
+
+        for (let i = 0; i < count; i++) {
+            const size = 40 + worldRandom() * 50;
+            const rect = makeObstacle(
+                centerX + (worldRandom() - 0.5) * 160,
+                centerY + (worldRandom() - 0.5) * 160,
+                size,
+                size * (0.7 + worldRandom() * 0.5),
+                kind,
+                worldRandom
+            );
+            if (hasSpace(placed, rect, 45)) {
+                placed.push(rect);
+            }
+        }
+    }
+    return placed;
+}
+
+/**
+ * Graveyard - fenced-off plots with rows of tombstones, a few crypts and
+ * some overgrown bushes
+ * 
+ * @param {function(): number} worldRandom - World generator RNG
+ * @returns {Object[]} - Obstacles
+ */
+function generateGraveyardLayout(worldRandom) {
+    const placed = [];
+
+    // Plots of neatly aligned tombstones
+    for (let plot = 0; plot < 9; plot++) {
+        const plotX = 80 + worldRandom() * (WORLD_WIDTH - 560);
+        const plotY = 80 + worldRandom() * (WORLD_HEIGHT - 460);
+        const rows = 2 + Math.floor(worldRandom() * 3);
+        const columns = 3 + Math.floor(worldRandom() * 3);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                if (worldRandom() < 0.15) continue; // The odd missing grave
+                const rect = makeObstacle(plotX + col * 85, plotY + row * 110, 30, 40, 'tombstone', worldRandom);
+                if (hasSpace(placed, rect, 40)) {
+                    placed.push(rect);
+                }
+            }
+        }
+    }
+
+    // Crypts and bushes in the gaps
+    for (let i = 0; i < 6; i++) {
+        const rect = makeObstacle(
+            worldRandom() * (WORLD_WIDTH - 140), worldRandom() * (WORLD_HEIGHT - 110),
+            110 + worldRandom() * 30, 80 + worldRandom() * 30, 'crypt', worldRandom);
+        if (hasSpace(placed, rect, 60)) {
+            placed.push(rect);
+        }
+    }
+    for (let i = 0; i < 12; i++) {
+        const size = 40 + worldRandom() * 30;
+        const rect = makeObstacle(
+            worldRandom() * (WORLD_WIDTH - size), worldRandom() * (WORLD_HEIGHT - size),
+            size, size, 'bush', worldRandom);
+        if (hasSpace(placed, rect, 50)) {
+            placed.push(rect);
+        }
+    }
+    return placed;
+}
+
+/**
+ * Hedge maze - a grid of rooms separated by hedges. A randomized spanning
+ * tree opens a doorway between neighboring rooms, extra doorways add loops,
+ * and some walls are left out entirely to form larger halls
+ * 
+ * @param {function(): number} worldRandom - World generator RNG
+ * @returns {Object[]} - Obstacles
+ */
+function generateMazeLayout(worldRandom) {
+    const roomSize = 300;
+    const thickness = 26;
+    const doorWidth = 120;
+    const rooms = Math.floor(WORLD_WIDTH / roomSize);
+    const visited = new Array(rooms * rooms).fill(false);
+    const open = new Set(); // Walls with a doorway, keyed "a-b" for rooms a < b
+
+    // Randomized depth-first search over the rooms
+    const stack = [0];
+    visited[0] = true;
+    while (stack.length > 0) {
+        const room = stack[stack.length - 1];
+        const col = room % rooms;
+        const row = Math.floor(room / rooms);
+        const neighbors = [];
+        if (col > 0) neighbors.push(room - 1);
+        if (col < rooms - 1) neighbors.push(room + 1);
+        if (row > 0) neighbors.push(room - rooms);
+        if (row < rooms - 1) neighbors.push(room + rooms);
+        const unvisited = neighbors.filter(neighbor => !visited[neighbor]);
+
+        if (unvisited.length === 0) {
+            stack.pop();
+            continue;
+        }
+        const next = unvisited[Math.floor(worldRandom() * unvisited.length)];
+        visited[next] = true;
+        open.add(`${Math.min(room, next)}-${Math.max(room, next)}`);
+        stack.push(next);
+    }
+
+    const placed = [];
+    const addWall = (x, y, width, height) => {
+        if (width > 0 && height > 0) {
+            placed.push(makeObstacle(x, y, width, height, 'hedge', worldRandom));
+        }
+    };
+
+    // Build the inner walls: doorways where the tree (or chance) says so
+    for (let row = 0; row < rooms; row++) {
+        for (let col = 0; col < rooms; col++) {
+            const room = row * rooms + col;
+            const walls = [];
+            if (col < rooms - 1) walls.push({ other: room + 1, vertical: true });
+            if (row < rooms - 1) walls.push({ other: room + rooms, vertical: false });
+
+            for (let wall of walls) {
+                const roll = worldRandom();
+                if (roll < 0.2) continue; // Missing wall - rooms merge into a hall
+                const hasDoor = open.has(`${room}-${wall.other}`) || roll < 0.45;
+
+                const length = hasDoor ? (roomSize - doorWidth) / 2 : roomSize;
+                if (wall.vertical) {
+                    const x = (col + 1) * roomSize - thickness / 2;
+                    addWall(x, row * roomSize, thickness, length);
+                    if (hasDoor) addWall(x, row * roomSize + length + doorWidth, thickness, length);
+                } else {
+                    const y = (row + 1) * roomSize - thickness / 2;
+                    addWall(col * roomSize, y, length, thickness);
+                    if (hasDoor) addWall(col * roomSize + length + doorWidth, y, length, thickness);
+                }
+            }
+        }
+    }
+    return placed;
+}
+
+/**
+ * Remove obstacles overlapping the spawn-safe zones around the cat and owner
+ */
+function clearSafeZones() {
+    const starts = getStartPositions();
+    const zones = [starts.cat, starts.owner].map(point => ({ x: point.x, y: point.y, radius: WORLD_GEN.safeRadius }));
+    obstacles = obstacles.filter(obstacle => !zones.some(zone => circleRectCollision(zone, obstacle)));
+}
+
+/**
+ * Connectivity check and repair
+ * Flood-fills the walkable cells from the owner's start; while any open cell
+ * can't be reached, removes the smallest obstacle bordering both the reached
+ * and the unreached area, opening the pocket up
+ */
+function ensureConnectivity() {
+    const starts = getStartPositions();
+    const blocked = new Uint8Array(NAV_COLS * NAV_ROWS);
+
+    for (let repair = 0; repair < WORLD_GEN.maxRepairs; repair++) {
+        rasterizeObstacles(WORLD_GEN.walkClearance, blocked);
+        const reached = floodFillCells(blocked, navCellIndex(starts.owner.x, starts.owner.y));
+
+        const unreachable = [];
+        for (let cell = 0; cell < blocked.length; cell++) {
+            if (!blocked[cell] && !reached[cell]) unreachable.push(cell);
+        }
+        if (unreachable.length === 0) return;
+
+        // Obstacles separating the pocket from the reachable area
+        const unreachableSet = new Set(unreachable);
+        let best = -1;
+        let bestArea = Infinity;
+        obstacles.forEach((obstacle, index) => {
+            const cells = cellsAroundRect(obstacle, WORLD_GEN.walkClearance + NAV_CELL_SIZE);
+            const area = obstacle.width * obstacle.height;
+            if (area < bestArea && cells.some(cell => reached[cell]) && cells.some(cell => unreachableSet.has(cell))) {
+                best = index;
+                bestArea = area;
+            }
+        });
+
+        // Fall back to the obstacle nearest to the pocket
+        if (best === -1) {
+            const col = unreachable[0] % NAV_COLS;
+            const point = { x: (col + 0.5) * NAV_CELL_SIZE, y: (Math.floor(unreachable[0] / NAV_COLS) + 0.5) * NAV_CELL_SIZE };
+            let bestDistance = Infinity;
+            obstacles.forEach((obstacle, index) => {
+                const dx = obstacle.x + obstacle.width / 2 - point.x;
+                const dy = obstacle.y + obstacle.height / 2 - point.y;
+                if (dx * dx + dy * dy < bestDistance) {
+                    bestDistance = dx * dx + dy * dy;
+                    best = index;
+                }
+            });
+        }
+        if (best === -1) return;
+        obstacles.splice(best, 1);
+    }
+}
+
+/**
+ * Flood fill the free cells of a grid using 4-way steps
+ * 
+ * @param {Uint8Array} blocked - 1 for blocked cells
+ * @param {number} startCell - Cell to start from
+ * @returns {Uint8Array} - 1 for every cell reached
+ */
+function floodFillCells(blocked, startCell) {
+    const reached = new Uint8Array(blocked.length);
+    const queue = [startCell];
+    reached[startCell] = 1;
+    while (queue.length > 0) {
+        const cell = queue.pop();
+        const col = cell % NAV_COLS;
+        const neighbors = [];
+        if (col > 0) neighbors.push(cell - 1);
+        if (col < NAV_COLS - 1) neighbors.push(cell + 1);
+        if (cell >= NAV_COLS) neighbors.push(cell - NAV_COLS);
+        if (cell < blocked.length - NAV_COLS) neighbors.push(cell + NAV_COLS);
+        for (let neighbor of neighbors) {
+            if (!reached[neighbor] && !blocked[neighbor]) {
+                reached[neighbor] = 1;
+                queue.push(neighbor);
+            }
+        }
+    }
+    return reached;
+}
+
+// ===== MAP FORMAT =====
+
+/**
+ * Map file format
+ * Hand-made maps are plain JSON:
+ * {
+ *   "format": "kuroneko-map", "version": 1, "name": "...",
+ *   "world": { "width": 2400, "height": 2400 },
+ *   "cat": { "x": 1200, "y": 1200 }, "owner": { "x": 1300, "y": 1300 },
+ *   "obstacles": [{ "x": 0, "y": 0, "width": 60, "height": 40, "kind": "rock" }],
+ *   "spawns": { "edges": ["top", "left"], "points": [{ "x": 100, "y": 100 }] },
+ *   "waves": [{ "enemies": { "ghost": 6 }, "spawnRate": [0.5, 0.8], "maxAlive": 5 }]
+ * }
+ * "waves" is optional and uses the same entries as WAVE_CONFIG.waves; without
+ * it the map plays the standard difficulty curve
+ */
+const MAP_FORMAT = 'kuroneko-map';
+const MAP_VERSION = 1;
+export const MAP_EDGES = ['top', 'right', 'bottom', 'left'];
+const OBSTACLE_KINDS = ['rock', 'bush', 'tombstone', 'crypt', 'hedge'];
+export const MAP_LIMITS = {
+    minWidth: 800,              // The world must at least fill the 800x600 viewport
+    minHeight: 600,
+    maxWidth: 6000,
+    maxHeight: 6000,
+    minObstacleSize: 10,
+    maxObstacles: 1000,
+    maxSpawnPoints: 50,
+    startMargin: 16             // Clearance of the cat and owner starts from edges and obstacles (>= their radius)
+};
+const DEFAULT_SPAWNS = { edges: MAP_EDGES, points: [] }; // Spawning on generated maps
+
+export let runMap = null;     // Custom map of the current run, or null for a generated one
+
+/**
+ * Resize the world, along with everything sized from it
+ * 
+ * @param {number} width - World width in pixels
+ * @param {number} height - World height in pixels
+ */
+function setWorldSize(width, height) {
+    if (width === WORLD_WIDTH && height === WORLD_HEIGHT) return;
+    WORLD_WIDTH = width;
+    WORLD_HEIGHT = height;
+    resizeNavGrid();
+}
+
+/**
+ * Read a number from map data, rejecting anything out of range
+ * 
+ * @param {*} value - Value from the file
+ * @param {string} name - Field name for the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} - The value
+ */
+function readMapNumber(value, name, min, max) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${name} must be a number between ${min} and ${max}.`);
+    }
+    return value;
+}
+
+/**
+ * Validate map data and normalize it into the form the game uses
+ * 
+ * @param {Object} data - Parsed JSON map
+ * @returns {Object} - Normalized map
+ * @throws {Error} - With a readable message when the map is invalid
+ */
+export function parseMap(data) {
+    if (!data || data.format !== MAP_FORMAT) {
+        throw new Error('This is not a Kuro Neko map file.');
+    }
+    if (data.version !== MAP_VERSION) {
+        throw new Error(`Map version ${data.version} is not supported.`);
+    }
+
+    const world = data.world || {};
+    const width = readMapNumber(world.width, 'world.width', MAP_LIMITS.minWidth, MAP_LIMITS.maxWidth);
+    const height = readMapNumber(world.height, 'world.height', MAP_LIMITS.minHeight, MAP_LIMITS.maxHeight);
+    const readPoint = (point, name, margin = 0) => ({
+        x: readMapNumber(point && point.x, `${name}.x`, margin, width - margin),
+        y: readMapNumber(point && point.y, `${name}.y`, margin, height - margin)
+    });
+
+    const obstacleData = data.obstacles || [];
+    if (!Array.isArray(obstacleData) || obstacleData.length > MAP_LIMITS.maxObstacles) {
+        throw new Error(`obstacles must be a list of at most ${MAP_LIMITS.maxObstacles} rectangles.`);
+    }
+    const mapObstacles = obstacleData.map((obstacle, index) => {
+        const name = `obstacles[${index}]`;
+        const corner = readPoint(obstacle, name);
+        return {
+            x: corner.x,
+            y: corner.y,
+            // The whole rectangle has to fit inside the world
+            width: readMapNumber(obstacle.width, `${name}.width`, MAP_LIMITS.minObstacleSize, width - corner.x),
+            height: readMapNumber(obstacle.height, `${name}.height`, MAP_LIMITS.minObstacleSize, height - corner.y),
+            kind: OBSTACLE_KINDS.includes(obstacle.kind) ? obstacle.kind : 'rock',
+            variant: (index * 0.618034) % 1   // Stable art details without storing them
+        };
+    });
+
+    const spawnData = data.spawns || {};
+    const edges = MAP_EDGES.filter(edge => (spawnData.edges || []).includes(edge));
+    const pointData = spawnData.points || [];
+    if (!Array.isArray(pointData) || pointData.length > MAP_LIMITS.maxSpawnPoints) {
+        throw new Error(`spawns.points must be a list of at most ${MAP_LIMITS.maxSpawnPoints} points.`);
+    }
+    const points = pointData.map((point, index) => readPoint(point, `spawns.points[${index}]`));
+    if (edges.length + points.length === 0) {
+        throw new Error('The map needs at least one spawn edge or spawn point.');
+    }
+
+    const map = {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name: typeof data.name === 'string' ? data.name.slice(0, 40) : 'Untitled',
+        world: { width: width, height: height },
+        // Closer to the edge, isValidPosition() would reject every move
+        cat: readPoint(data.cat, 'cat', MAP_LIMITS.startMargin),
+        owner: readPoint(data.owner, 'owner', MAP_LIMITS.startMargin),
+        obstacles: mapObstacles,
+        spawns: { edges: edges, points: points }
+    };
+
+    for (let start of ['cat', 'owner']) {
+        const probe = { x: map[start].x, y: map[start].y, radius: MAP_LIMITS.startMargin };
+        if (mapObstacles.some(obstacle => circleRectCollision(probe, obstacle))) {
+            throw new Error(`The ${start} start is inside an obstacle.`);
+        }
+    }
+
+    if (data.waves !== undefined) {
+        map.waves = parseWaveScript(data.waves);
+    }
+    return map;
+}
+
+/**
+ * Validate a map's wave script
+ * 
+ * @param {Object[]} waves - Wave entries in the WAVE_CONFIG.waves format
+ * @returns {Object[]} - Normalized wave entries
+ */
+function parseWaveScript(waves) {
+    if (!Array.isArray(waves) || waves.length === 0) {
+        throw new Error('waves must be a non-empty list.');
+    }
+    return waves.map((entry, index) => {
+        const name = `waves[${index}]`;
+        const enemyCounts = {};
+        let total = 0;
+        for (let typeId in (entry && entry.enemies) || {}) {
+            if (!ENEMY_TYPES[typeId] || typeId === 'splitling') {
+                throw new Error(`${name} uses unknown enemy type "${typeId}".`);
+            }
+            enemyCounts[typeId] = Math.round(readMapNumber(entry.enemies[typeId], `${name}.enemies.${typeId}`, 0, 500));
+            total += enemyCounts[typeId];
+        }
+        if (total === 0) {
+            throw new Error(`${name} has no enemies.`);
+        }
+        const spawnRate = Array.isArray(entry.spawnRate) ? entry.spawnRate : [];
+        return {
+            enemies: enemyCounts,
+            spawnRate: [
+                readMapNumber(spawnRate[0], `${name}.spawnRate[0]`, 0.05, 20),
+                readMapNumber(spawnRate[1], `${name}.spawnRate[1]`, 0.05, 20)
+            ],
+            maxAlive: Math.round(readMapNumber(entry.maxAlive, `${name}.maxAlive`, 1, 500))
+        };
+    });
+}
+
+/**
+ * Convert a normalized map back into its file form
+ * 
+ * @param {Object} map - Normalized map
+ * @returns {Object} - JSON-ready map data
+ */
+export function serializeMap(map) {
+    const data = {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name: map.name,
+        world: { width: map.world.width, height: map.world.height },
+        cat: { x: map.cat.x, y: map.cat.y },
+        owner: { x: map.owner.x, y: map.owner.y },
+        obstacles: map.obstacles.map(obstacle => ({
+            x: obstacle.x, y: obstacle.y, width: obstacle.width, height: obstacle.height, kind: obstacle.kind
+        })),
+        spawns: {
+            edges: map.spawns.edges.slice(),
+            points: map.spawns.points.map(point => ({ x: point.x, y: point.y }))
+        }
+    };
+    if (map.waves) {
+        data.waves = map.waves;
+    }
+    return data;
+}
+
+/**
+ * An empty map of the default size with the usual starts and all four
+ * spawn edges
+ * 
+ * @returns {Object} - Normalized map
+ */
+export function createBlankMap() {
+    return {
+        format: MAP_FORMAT,
+        version: MAP_VERSION,
+        name: 'Untitled',
+        world: { width: DEFAULT_WORLD_WIDTH, height: DEFAULT_WORLD_HEIGHT },
+        cat: { x: DEFAULT_WORLD_WIDTH / 2, y: DEFAULT_WORLD_HEIGHT / 2 },
+        owner: { x: DEFAULT_WORLD_WIDTH / 2 + 100, y: DEFAULT_WORLD_HEIGHT / 2 + 100 },
+        obstacles: [],
+        spawns: { edges: MAP_EDGES.slice(), points: [] }
+    };
+}
+
+// ===== COLLISION DETECTION SYSTEM =====
+
+/**
+ * Circle-to-circle collision detection
+ * Used for entity interactions (cat vs ghost, ghost vs owner)
+ * 
+ * @param {Object} obj1 - First circular object with x, y, radius
+ * @param {Object} obj2 - Second circular object with x, y, radius
+ * @returns {boolean} - True if objects are colliding
+ */
+export function circleCollision(obj1, obj2) {
+    const dx = obj1.x - obj2.x;
+    const dy = obj1.y - obj2.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    return distance < obj1.radius + obj2.radius;
+}
+
+/**
+ * Circle-to-rectangle collision detection
+ * Used for entity vs obstacle collision detection
+ * 
+ * @param {Object} circle - Circular object with x, y, radius
+ * @param {Object} rect - Rectangular object with x, y, width, height
+ * @returns {boolean} - True if circle intersects rectangle
+ */
+export function circleRectCollision(circle, rect) {
+    // Find the closest point on the rectangle to the circle center
+    const closestX = Math.max(rect.x, Math.min(circle.x, rect.x + rect.width));
+    const closestY = Math.max(rect.y, Math.min(circle.y, rect.y + rect.height));
+    
+    // Calculate distance from circle center to closest point
+    const dx = circle.x - closestX;
+    const dy = circle.y - closestY;
+    
+    // Check if distance is less than circle radius
+    return (dx * dx + dy * dy) < (circle.radius * circle.radius);
+}
+
+/**
+ * Validate if an entity can move to a specific position
+ * Checks against obstacles and world boundaries
+ * 
+ * @param {Object} obj - Entity object with radius property
+ * @param {number} newX - Proposed X position
+ * @param {number} newY - Proposed Y position
+ * @returns {boolean} - True if position is valid
+ */
+export function isValidPosition(obj, newX, newY) {
+    // Check collision with all obstacles
+    if (collidesWithObstacle(obj, newX, newY)) {
+        return false;
+    }
+    
+    // Check world boundaries (keep entity fully inside world)
+    return newX >= obj.radius && newX <= WORLD_WIDTH - obj.radius && 
+           newY >= obj.radius && newY <= WORLD_HEIGHT - obj.radius;
+}
+
+/**
+ * Check whether an entity placed at a position would overlap any obstacle
+ * Unlike isValidPosition() this ignores world boundaries, since ghosts
+ * enter the world from its edges
+ * 
+ * @param {Object} obj - Entity object with radius property
+ * @param {number} x - X position to test
+ * @param {number} y - Y position to test
+ * @returns {boolean} - True if an obstacle is in the way
+ */
+function collidesWithObstacle(obj, x, y) {
+    // Reuse one probe object; this runs for every move of every entity
+    collisionProbe.x = x;
+    collisionProbe.y = y;
+    collisionProbe.radius = obj.radius;
+
+    // Only obstacles sharing a spatial hash cell with the entity can touch it
+    const nearby = querySpatialHash(obstacleHash,
+        x - obj.radius, y - obj.radius, x + obj.radius, y + obj.radius, obstacleQuery);
+    for (let obstacle of nearby) {
+        if (circleRectCollision(collisionProbe, obstacle)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// ===== SPATIAL HASHING =====
+
+/**
+ * Uniform-grid spatial hashes
+ * Obstacles are hashed whenever they change and enemies once per tick, so
+ * collision and proximity checks only look at the few cells around a point
+ * instead of every obstacle or enemy in the world
+ */
+const SPATIAL_HASH_CELL_SIZE = 128;   // World pixels per cell
+
+const obstacleHash = createSpatialHash(SPATIAL_HASH_CELL_SIZE);
+const enemyHash = createSpatialHash(SPATIAL_HASH_CELL_SIZE);
+const obstacleQuery = [];             // Reused result list for obstacle lookups
+const collisionProbe = { x: 0, y: 0, radius: 0 };
+const MAX_ENEMY_RADIUS = Math.max(...Object.values(ENEMY_TYPES).map(type => type.radius));
+
+/**
+ * Create an empty spatial hash
+ * 
+ * @param {number} cellSize - World pixels per cell
+ * @returns {Object} - Spatial hash
+ */
+function createSpatialHash(cellSize) {
+    return {
+        cellSize: cellSize,
+        cells: new Map(),       // Cell key -> items overlapping the cell
+        seen: new Set()         // Deduplicates items spanning several cells during a query
+    };
+}
+
+/**
+ * Map key of a cell
+ * Cells are offset so slightly negative coordinates (ghosts entering from
+ * the world edge) get keys of their own
+ * 
+ * @param {number} column - Cell column
+ * @param {number} row - Cell row
+ * @returns {number} - Unique key
+ */
+function spatialHashKey(column, row) {
+    return (column + 32768) * 65536 + (row + 32768);
+}
+
+/**
+ * Empty every cell, keeping the cell arrays for reuse
+ * 
+ * @param {Object} hash - Spatial hash
+ */
+function clearSpatialHash(hash) {
+    for (let cell of hash.cells.values()) {
+        cell.length = 0;
+    }
+}
+
+/**
+ * Add an item to every cell its bounding box overlaps
+ * 
+ * @param {Object} hash - Spatial hash
+ * @param {*} item - Item to store
+ * @param {number} left - Bounding box, world pixels
+ * @param {number} top
+ * @param {number} right
+ * @param {number} bottom
+ */
+function insertIntoSpatialHash(hash, item, left, top, right, bottom) {
+    const size = hash.cellSize;
+    for (let row = Math.floor(top / size); row <= Math.floor(bottom / size); row++) {
+        for (let column = Math.floor(left / size); column <= Math.floor(right / size); column++) {
+            const key = spatialHashKey(column, row);
+            let cell = hash.cells.get(key);
+            if (!cell) {
+                cell = [];
+                hash.cells.set(key, cell);
+            }
+            cell.push(item);
+        }
+    }
+}
+
+/**
+ * Collect the items in every cell a bounding box overlaps
+ * Items are candidates only; callers still run their exact collision test
+ * 
+ * @param {Object} hash - Spatial hash
+ * @param {number} left - Bounding box, world pixels
+ * @param {number} top
+ * @param {number} right
+ * @param {number} bottom
+ * @param {Array} [results] - Array to fill (emptied first), to avoid allocating
+ * @returns {Array} - Candidate items, each listed once
+ */
+function querySpatialHash(hash, left, top, right, bottom, results = []) {
+    const size = hash.cellSize;
+    results.length = 0;
+    hash.seen.clear();
+    for (let row = Math.floor(top / size); row <= Math.floor(bottom / size); row++) {
+        for (let column = Math.floor(left / size); column <= Math.floor(right / size); column++) {
+            const cell = hash.cells.get(spatialHashKey(column, row));
+            if (!cell) continue;
+            for (let item of cell) {
+                if (!hash.seen.has(item)) {
+                    hash.seen.add(item);
+                    results.push(item);
+                }
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Re-hash the obstacles
+ * Called by buildNavGrid(), which runs whenever the obstacles change
+ */
+function buildObstacleHash() {
+    clearSpatialHash(obstacleHash);
+    for (let obstacle of obstacles) {
+        insertIntoSpatialHash(obstacleHash, obstacle,
+            obstacle.x, obstacle.y, obstacle.x + obstacle.width, obstacle.y + obstacle.height);
+    }
+}
+
+/**
+ * Re-hash the enemies by their centers
+ * Called at the start of every tick; enemies caught later in the tick stay
+ * in their cell until the next rebuild, so lookups skip inactive enemies
+ */
+function buildEnemyHash() {
+    clearSpatialHash(enemyHash);
+    for (let enemy of enemies) {
+        insertIntoSpatialHash(enemyHash, enemy, enemy.x, enemy.y, enemy.x, enemy.y);
+    }
+}
+
+/**
+ * Find the active enemies whose circle may reach within a radius of a point
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {number} radius - Search radius
+ * @returns {Object[]} - Candidate enemies
+ */
+function queryEnemies(x, y, radius) {
+    const reach = radius + MAX_ENEMY_RADIUS;
+    return querySpatialHash(enemyHash, x - reach, y - reach, x + reach, y + reach)
+        .filter(enemy => enemy.active);
+}
+
+// ===== GHOST NAVIGATION =====
+
+/**
+ * Navigation grid configuration
+ * The world is divided into square cells; a cell is blocked when a ghost
+ * standing at its center would touch an obstacle. A flow field over the free
+ * cells stores each cell's path distance to the owner, so every ghost can
+ * follow the distances downhill around obstacles
+ */
+const NAV_CELL_SIZE = 40;                                  // Cell size in pixels
+let NAV_COLS = Math.ceil(WORLD_WIDTH / NAV_CELL_SIZE);     // Grid width in cells
+let NAV_ROWS = Math.ceil(WORLD_HEIGHT / NAV_CELL_SIZE);    // Grid height in cells
+const NAV_CLEARANCE = 12;                                  // Ghost radius plus a little margin
+
+// Neighbor offsets (column, row, cost) - orthogonal first, then diagonal
+const NAV_NEIGHBORS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+let navBlocked = new Uint8Array(NAV_COLS * NAV_ROWS);       // 1 where ghosts can't stand
+let flowDistance = new Float64Array(NAV_COLS * NAV_ROWS);   // Path distance to the owner in cells
+let flowTargetCell = -1;                                    // Cell the flow field currently leads to
+
+/**
+ * Convert a world position to the index of the nav cell containing it
+ * Positions outside the world are clamped to the nearest edge cell
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {number} - Cell index (row * NAV_COLS + column)
+ */
+function navCellIndex(x, y) {
+    const col = Math.max(0, Math.min(NAV_COLS - 1, Math.floor(x / NAV_CELL_SIZE)));
+    const row = Math.max(0, Math.min(NAV_ROWS - 1, Math.floor(y / NAV_CELL_SIZE)));
+    return row * NAV_COLS + col;
+}
+
+/**
+ * Reallocate the navigation grid for the current world size
+ */
+function resizeNavGrid() {
+    NAV_COLS = Math.ceil(WORLD_WIDTH / NAV_CELL_SIZE);
+    NAV_ROWS = Math.ceil(WORLD_HEIGHT / NAV_CELL_SIZE);
+    navBlocked = new Uint8Array(NAV_COLS * NAV_ROWS);
+    flowDistance = new Float64Array(NAV_COLS * NAV_ROWS);
+    flowTargetCell = -1;
+}
+
+/**
+ * Mark every cell that a ghost cannot occupy
+ * Must be called whenever the obstacles change
+ */
+function buildNavGrid() {
+    buildObstacleHash();
+    rasterizeObstacles(NAV_CLEARANCE, navBlocked);
+    flowTargetCell = -1; // Force the flow field to be recomputed
+}
+
+/**
+ * Mark the grid cells whose center is within `clearance` of an obstacle
+ * Only the cells around each obstacle are tested, so this stays cheap for
+ * maps with many obstacles
+ * 
+ * @param {number} clearance - Radius of the entity the grid is for
+ * @param {Uint8Array} grid - NAV_COLS * NAV_ROWS cells, overwritten
+ */
+function rasterizeObstacles(clearance, grid) {
+    grid.fill(0);
+    const probe = { x: 0, y: 0, radius: clearance };
+    for (let obstacle of obstacles) {
+        for (let cell of cellsAroundRect(obstacle, clearance)) {
+            if (grid[cell]) continue;
+            const col = cell % NAV_COLS;
+            probe.x = (col + 0.5) * NAV_CELL_SIZE;
+            probe.y = ((cell - col) / NAV_COLS + 0.5) * NAV_CELL_SIZE;
+            if (circleRectCollision(probe, obstacle)) {
+                grid[cell] = 1;
+            }
+        }
+    }
+}
+
+/**
+ * List the nav cells overlapping a rectangle grown by a margin
+ * 
+ * @param {Object} rect - Rectangle with x, y, width, height
+ * @param {number} margin - Pixels to grow the rectangle on every side
+ * @returns {number[]} - Cell indices
+ */
+function cellsAroundRect(rect, margin) {
+    const minCol = Math.max(0, Math.floor((rect.x - margin) / NAV_CELL_SIZE));
+    const maxCol = Math.min(NAV_COLS - 1, Math.floor((rect.x + rect.width + margin) / NAV_CELL_SIZE));
+    const minRow = Math.max(0, Math.floor((rect.y - margin) / NAV_CELL_SIZE));
+    const maxRow = Math.min(NAV_ROWS - 1, Math.floor((rect.y + rect.height + margin) / NAV_CELL_SIZE));
+    const cells = [];
+    for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+            cells.push(row * NAV_COLS + col);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Recompute the flow field when the owner enters a new cell
+ * Runs Dijkstra outward from the owner's cell over the free cells; diagonal
+ * steps are only allowed when both adjacent orthogonal cells are free so
+ * ghosts never cut across obstacle corners
+ */
+function updateFlowField() {
+    const targetCell = navCellIndex(owner.x, owner.y);
+    if (targetCell === flowTargetCell) return;
+    flowTargetCell = targetCell;
+
+    flowDistance.fill(Infinity);
+    flowDistance[targetCell] = 0;
+
+    // Binary min-heap of [distance, cell] pairs
+    const heap = [[0, targetCell]];
+    const push = (entry) => {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    while (heap.length > 0) {
+        const [distance, cell] = pop();
+        if (distance > flowDistance[cell]) continue; // Stale heap entry
+
+        const col = cell % NAV_COLS;
+        const row = (cell - col) / NAV_COLS;
+        for (let [dc, dr, cost] of NAV_NEIGHBORS) {
+            const nc = col + dc;
+            const nr = row + dr;
+            if (nc < 0 || nc >= NAV_COLS || nr < 0 || nr >= NAV_ROWS) continue;
+
+            const neighbor = nr * NAV_COLS + nc;
+            if (navBlocked[neighbor]) continue;
+            if (dc !== 0 && dr !== 0 &&
+                (navBlocked[row * NAV_COLS + nc] || navBlocked[nr * NAV_COLS + col])) {
+                continue;
+            }
+
+            const newDistance = distance + cost;
+            if (newDistance < flowDistance[neighbor]) {
+                flowDistance[neighbor] = newDistance;
+                push([newDistance, neighbor]);
+            }
+        }
+    }
+}
+
+/**
+ * Check whether a ghost could travel in a straight line between two points
+ * Samples the nav grid along the segment at quarter-cell intervals. The
+ * cells containing the two end points are ignored, since entities standing
+ * right next to an obstacle occupy cells marked as blocked
+ * 
+ * @returns {boolean} - True if no blocked cell lies on the segment
+ */
+function hasLineOfSight(x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const startCell = navCellIndex(x1, y1);
+    const endCell = navCellIndex(x2, y2);
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (NAV_CELL_SIZE / 4));
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const cell = navCellIndex(x1 + dx * t, y1 + dy * t);
+        if (navBlocked[cell] && cell !== startCell && cell !== endCell) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Choose the direction a ghost should travel to reach the owner
+ * Heads straight for the owner when the way is clear, otherwise steps toward
+ * the neighboring cell with the lowest flow distance. Ghosts squeezed against
+ * an obstacle (in a blocked cell) step back onto the nearest free cell
+ * 
+ * @param {Object} enemy - Ghost entity
+ * @returns {{x: number, y: number, unreachable: boolean}} - Unnormalized
+ *          steering vector; `unreachable` is set when no path to the owner exists
+ */
+function getSteeringDirection(enemy) {
+    const direct = { x: owner.x - enemy.x, y: owner.y - enemy.y, unreachable: false };
+    const cell = navCellIndex(enemy.x, enemy.y);
+
+    // Sharing the owner's cell or in sight of the owner - go straight
+    if (cell === flowTargetCell || hasLineOfSight(enemy.x, enemy.y, owner.x, owner.y)) {
+        return direct;
+    }
+
+    const col = cell % NAV_COLS;
+    const row = (cell - col) / NAV_COLS;
+    let bestCell = -1;
+    let bestDistance = flowDistance[cell];
+    for (let [dc, dr] of NAV_NEIGHBORS) {
+        const nc = col + dc;
+        const nr = row + dr;
+        if (nc < 0 || nc >= NAV_COLS || nr < 0 || nr >= NAV_ROWS) continue;
+
+        const neighbor = nr * NAV_COLS + nc;
+        if (flowDistance[neighbor] < bestDistance) {
+            bestDistance = flowDistance[neighbor];
+            bestCell = neighbor;
+        }
+    }
+    if (bestCell === -1) {
+        // Nowhere downhill: either a local dead end or the owner is walled off
+        direct.unreachable = flowDistance[cell] === Infinity;
+        return direct;
+    }
+    if (bestCell === flowTargetCell) {
+        return direct; // Final step - the owner's cell may itself be marked blocked
+    }
+
+    // Aim for the center of the next cell along the path
+    const bestCol = bestCell % NAV_COLS;
+    const bestRow = (bestCell - bestCol) / NAV_COLS;
+    return {
+        x: (bestCol + 0.5) * NAV_CELL_SIZE - enemy.x,
+        y: (bestRow + 0.5) * NAV_CELL_SIZE - enemy.y,
+        unreachable: false
+    };
+}
+
+// ===== ENTITY UPDATE FUNCTIONS =====
+
+/**
+ * Update a cat's position based on its player's input
+ * Movement is analog: the input's vector scales the cat's speed
+ * 
+ * @param {Object} cat - Cat to update
+ * @param {number} dt - Seconds to simulate
+ * @param {number} input - Packed input for this tick
+ */
+function updateCat(cat, dt, input) {
+    updateAbilities(cat, dt, input);
+
+    // A pounce takes over movement until it finishes
+    if (cat.dashTimer > 0) {
+        updatePounce(cat, dt);
+        return;
+    }
+
+    const step = getCatSpeed(cat) * dt;
+    const move = getInputMove(input);
+    const newX = cat.x + move.x * step;
+    const newY = cat.y + move.y * step;
+
+    // Update sprite orientation
+    if (move.x !== 0) {
+        cat.facingLeft = move.x < 0;
+    }
+
+    // Apply movement only if new position is valid
+    // Check X and Y movement separately to allow sliding along walls
+    if (isValidPosition(cat, newX, cat.y)) {
+        cat.x = newX;
+    }
+    if (isValidPosition(cat, cat.x, newY)) {
+        cat.y = newY;
+    }
+}
+
+// ===== CAT ABILITY SYSTEM =====
+
+/**
+ * Refill stamina, tick cooldowns and trigger abilities on key press
+ * Abilities fire on the tick a key goes down, not while it is held
+ * 
+ * @param {Object} cat - Cat whose abilities to update
+ * @param {number} dt - Seconds to simulate
+ * @param {number} input - Packed input for this tick
+ */
+function updateAbilities(cat, dt, input) {
+    cat.stamina = Math.min(CAT_ABILITIES.maxStamina, cat.stamina + CAT_ABILITIES.staminaRegen * dt);
+    cat.pounceCooldown = Math.max(0, cat.pounceCooldown - dt);
+    cat.hissCooldown = Math.max(0, cat.hissCooldown - dt);
+
+    const pressed = input & ~cat.lastInput & INPUT_BUTTONS;
+    cat.lastInput = input;
+
+    if ((pressed & INPUT_POUNCE) && canUseAbility(cat, CAT_ABILITIES.pounce, cat.pounceCooldown)) {
+        startPounce(cat, input);
+    }
+    if ((pressed & INPUT_HISS) && canUseAbility(cat, CAT_ABILITIES.hiss, cat.hissCooldown)) {
+        hiss(cat);
+    }
+}
+
+/**
+ * Check an ability's cooldown and stamina cost
+ * 
+ * @param {Object} cat - Cat that wants to use the ability
+ * @param {Object} ability - Entry from CAT_ABILITIES
+ * @param {number} cooldown - Seconds left on the ability's cooldown
+ * @returns {boolean} - True if the ability can be used now
+ */
+function canUseAbility(cat, ability, cooldown) {
+    return cooldown === 0 && cat.stamina >= ability.cost && cat.dashTimer === 0;
+}
+
+/**
+ * Begin a pounce dash
+ * Dashes the way the player is steering, or the way the cat faces if idle
+ * 
+ * @param {Object} cat - Pouncing cat
+ * @param {number} input - Packed input for this tick
+ */
+function startPounce(cat, input) {
+    const move = getInputMove(input);
+    let dirX = move.x;
+    let dirY = move.y;
+    if (dirX === 0 && dirY === 0) {
+        dirX = cat.facingLeft ? -1 : 1;
+    }
+    const length = Math.sqrt(dirX * dirX + dirY * dirY);
+
+    cat.dashX = dirX / length;
+    cat.dashY = dirY / length;
+    cat.dashTimer = CAT_ABILITIES.pounce.duration;
+    cat.pounceCooldown = CAT_ABILITIES.pounce.cooldown;
+    cat.stamina -= CAT_ABILITIES.pounce.cost;
+}
+
+/**
+ * Advance a pounce dash
+ * The dash moves in small sub-steps so it can neither tunnel through
+ * obstacles nor skip over ghosts; it ends early against an obstacle
+ * 
+ * @param {Object} cat - Pouncing cat
+ * @param {number} dt - Seconds to simulate
+ */
+function updatePounce(cat, dt) {
+    const distance = CAT_ABILITIES.pounce.speed * Math.min(dt, cat.dashTimer);
+    const steps = Math.ceil(distance / (cat.radius / 2));
+    const stepX = cat.dashX * distance / steps;
+    const stepY = cat.dashY * distance / steps;
+
+    cat.dashTimer = Math.max(0, cat.dashTimer - dt);
+    if (stepX !== 0) {
+        cat.facingLeft = stepX < 0;
+    }
+
+    for (let i = 0; i < steps; i++) {
+        if (!isValidPosition(cat, cat.x + stepX, cat.y + stepY)) {
+            cat.dashTimer = 0; // Hit a wall
+            return;
+        }
+        cat.x += stepX;
+        cat.y += stepY;
+        catchEnemiesTouchingCat(cat);
+    }
+}
+
+/**
+ * Catch every catchable enemy currently touching a cat
+ * 
+ * @param {Object} cat - Cat doing the catching
+ */
+function catchEnemiesTouchingCat(cat) {
+    for (let enemy of queryEnemies(cat.x, cat.y, cat.radius)) {
+        if (enemy.active && isEnemyCatchable(enemy) && circleCollision(enemy, cat)) {
+            hitEnemy(enemies.indexOf(enemy), cat);
+        }
+    }
+}
+
+/**
+ * Hiss: stun every ghost near the owner and shove it away
+ * Knockback is applied in small steps so ghosts stop at obstacles
+ * 
+ * @param {Object} cat - Hissing cat
+ */
+function hiss(cat) {
+    const { radius, stunTime, knockback, cost, cooldown } = CAT_ABILITIES.hiss;
+    cat.stamina -= cost;
+    cat.hissCooldown = cooldown;
+    cat.hissTime = simulationTime;
+
+    for (let enemy of queryEnemies(owner.x, owner.y, radius)) {
+        const dx = enemy.x - owner.x;
+        const dy = enemy.y - owner.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > radius) continue;
+
+        enemy.stunTimer = stunTime;
+        const pushX = distance > 0 ? dx / distance : 1;
+        const pushY = distance > 0 ? dy / distance : 0;
+        const steps = Math.ceil(knockback / 10);
+        for (let i = 0; i < steps; i++) {
+            if (!moveGhost(enemy, pushX * knockback / steps, pushY * knockback / steps)) break;
+        }
+    }
+}
+
+/**
+ * Find the cat closest to a point
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {Object} - Nearest cat
+ */
+function getNearestCat(x, y) {
+    let nearest = cats[0];
+    let nearestDistance = Infinity;
+    for (let cat of cats) {
+        const distance = (cat.x - x) * (cat.x - x) + (cat.y - y) * (cat.y - y);
+        if (distance < nearestDistance) {
+            nearest = cat;
+            nearestDistance = distance;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Update owner AI movement
+ * A small state machine: wander by default, flee or huddle by the nearest
+ * cat when ghosts get close, and unstick when an obstacle blocks the way
+ * 
+ * @param {number} dt - Seconds to simulate
+ */
+function updateOwner(dt) {
+    const threat = assessThreats();
+    const cat = getNearestCat(owner.x, owner.y);
+    const catDx = cat.x - owner.x;
+    const catDy = cat.y - owner.y;
+    const catDistance = Math.sqrt(catDx * catDx + catDy * catDy);
+    const catNearby = catDistance < OWNER_AI.huddle.catRange;
+
+    // Pick the state - an unstick maneuver always runs to completion
+    if (owner.aiState !== 'unstick') {
+        if (threat.count > 0) {
+            owner.fearTimer = OWNER_AI.huddle.fearDuration;
+        } else {
+            owner.fearTimer = Math.max(0, owner.fearTimer - dt);
+        }
+
+        if (owner.fearTimer > 0 && catNearby) {
+            owner.aiState = 'huddle';
+        } else if (threat.count > 0) {
+            owner.aiState = 'flee';
+        } else {
+            owner.aiState = 'wander';
+        }
+    }
+
+    // Work out where this state wants to go
+    let directionX = 0;
+    let directionY = 0;
+    let speed = 0;
+    switch (owner.aiState) {
+        case 'wander':
+            owner.changeDirectionTimer += dt;
+            
+            // Change direction randomly every few seconds
+            if (owner.changeDirectionTimer > owner.changeDirectionAfter) {
+                pickWanderDirection();
+            }
+            directionX = Math.cos(owner.direction);
+            directionY = Math.sin(owner.direction);
+            speed = OWNER_AI.wander.speed;
+            break;
+
+        case 'flee': {
+            directionX = threat.awayX;
+            directionY = threat.awayY;
+
+            // Bend away from world edges so the owner doesn't pin itself in a corner
+            const margin = OWNER_AI.flee.edgeAvoidance;
+            if (owner.x < margin) directionX += (margin - owner.x) / margin;
+            if (owner.x > WORLD_WIDTH - margin) directionX -= (owner.x - (WORLD_WIDTH - margin)) / margin;
+            if (owner.y < margin) directionY += (margin - owner.y) / margin;
+            if (owner.y > WORLD_HEIGHT - margin) directionY -= (owner.y - (WORLD_HEIGHT - margin)) / margin;
+            speed = OWNER_AI.flee.speed;
+            break;
+        }
+
+        case 'huddle':
+            if (catDistance > OWNER_AI.huddle.followDistance) {
+                directionX = catDx;
+                directionY = catDy;
+                speed = OWNER_AI.huddle.speed;
+            }
+            break;
+
+        case 'unstick':
+            directionX = Math.cos(owner.unstickDirection);
+            directionY = Math.sin(owner.unstickDirection);
+            speed = OWNER_AI.wander.speed;
+            owner.unstickTimer -= dt;
+            if (owner.unstickTimer <= 0) {
+                owner.aiState = 'wander';
+                owner.stuckTimer = 0;
+            }
+            break;
+    }
+
+    const length = Math.sqrt(directionX * directionX + directionY * directionY);
+    if (length === 0 || speed === 0) {
+        owner.stuckTimer = 0;
+        return;
+    }
+    directionX /= length;
+    directionY /= length;
+
+    // Move with wall sliding, measuring how much of the step actually happened
+    const moveX = directionX * speed * dt;
+    const moveY = directionY * speed * dt;
+    const startX = owner.x;
+    const startY = owner.y;
+    if (isValidPosition(owner, owner.x + moveX, owner.y)) {
+        owner.x += moveX;
+    }
+    if (isValidPosition(owner, owner.x, owner.y + moveY)) {
+        owner.y += moveY;
+    }
+
+    // Update sprite orientation based on movement direction
+    if (moveX !== 0) {
+        owner.facingLeft = moveX < 0;
+    }
+
+    // Less than a quarter of the step made it through - we're stuck
+    const moved = Math.sqrt((owner.x - startX) ** 2 + (owner.y - startY) ** 2);
+    if (moved < speed * dt * 0.25) {
+        owner.stuckTimer += dt;
+        if (owner.stuckTimer >= OWNER_AI.unstick.stuckTime && owner.aiState !== 'unstick') {
+            startUnstick(Math.atan2(directionY, directionX));
+        }
+    } else {
+        owner.stuckTimer = 0;
+    }
+}
+
+/**
+ * Choose a new random wander direction and the time until the next one
+ */
+function pickWanderDirection() {
+    const [minTurn, maxTurn] = OWNER_AI.wander.turnInterval;
+    owner.direction = random() * Math.PI * 2;
+    owner.changeDirectionTimer = 0;
+    owner.changeDirectionAfter = minTurn + random() * (maxTurn - minTurn);
+}
+
+/**
+ * Gather the ghosts threatening the owner
+ * Each ghost inside the threat radius pushes the flee direction away from
+ * itself, closer ghosts pushing harder
+ * 
+ * @returns {{count: number, awayX: number, awayY: number}} - Threat summary
+ */
+function assessThreats() {
+    const threat = { count: 0, awayX: 0, awayY: 0 };
+    const radius = OWNER_AI.flee.threatRadius;
+    for (let enemy of queryEnemies(owner.x, owner.y, radius)) {
+        const dx = owner.x - enemy.x;
+        const dy = owner.y - enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < radius && distance > 0) {
+            const weight = (radius - distance) / radius;
+            threat.awayX += (dx / distance) * weight;
+            threat.awayY += (dy / distance) * weight;
+            threat.count++;
+        }
+    }
+    return threat;
+}
+
+/**
+ * Enter the unstick state, probing directions fanning out from the blocked
+ * one and committing to the first that has clear space ahead
+ * 
+ * @param {number} blockedDirection - Direction the owner was trying to go (radians)
+ */
+function startUnstick(blockedDirection) {
+    const { probeDistance, probeStep, commitTime } = OWNER_AI.unstick;
+    let escapeDirection = blockedDirection + Math.PI; // Back off if nothing else is clear
+
+    for (let offset = probeStep; offset <= Math.PI; offset += probeStep) {
+        const candidates = [blockedDirection + offset, blockedDirection - offset];
+        const clear = candidates.find(angle => isValidPosition(owner,
+            owner.x + Math.cos(angle) * probeDistance,
+            owner.y + Math.sin(angle) * probeDistance));
+        if (clear !== undefined) {
+            escapeDirection = clear;
+            break;
+        }
+    }
+
+    owner.aiState = 'unstick';
+    owner.unstickDirection = escapeDirection;
+    owner.unstickTimer = commitTime;
+    owner.direction = escapeDirection; // Keep wandering that way afterwards
+    owner.changeDirectionTimer = 0;
+}
+
+// ===== ENEMY MANAGEMENT SYSTEM =====
+
+/**
+ * Wave director state
+ * Cycles between an intermission (banner up, nothing spawning) and an active
+ * wave that works through a shuffled spawn queue. A wave is cleared once its
+ * queue is empty and no enemies are left alive
+ */
+export let wave = createWaveState();
+
+/**
+ * Fresh director state for the start of a run
+ * 
+ * @returns {Object} - Wave director state
+ */
+function createWaveState() {
+    return {
+        number: 0,                            // Current wave (0 before wave 1)
+        state: 'intermission',                // 'intermission' or 'active'
+        timer: WAVE_CONFIG.firstWaveDelay,    // Seconds left in the intermission
+        definition: null,                     // Definition of the current wave
+        queue: [],                            // Enemy types still to spawn this wave
+        total: 0,                             // Enemies the wave spawns in total
+        spawnTimer: 0,                        // Seconds until the next spawn
+        bannerText: '',
+        bannerSubtext: '',
+        bannerTimer: 0
+    };
+}
+
+/**
+ * Look up a wave's definition, scaled up for the horde variant
+ * 
+ * @param {number} number - Wave number (1-based)
+ * @returns {Object} - Wave definition with enemies, spawnRate and maxAlive
+ */
+function getWaveDefinition(number) {
+    const definition = getBaseWaveDefinition(number);
+    if (runVariant !== 'horde') {
+        return definition;
+    }
+
+    const enemyCounts = {};
+    for (let typeId in definition.enemies) {
+        enemyCounts[typeId] = definition.enemies[typeId] * HORDE_CONFIG.countMultiplier;
+    }
+    return {
+        enemies: enemyCounts,
+        spawnRate: definition.spawnRate.map(rate => rate * HORDE_CONFIG.spawnRateMultiplier),
+        maxAlive: Math.min(HORDE_CONFIG.maxAliveCap, definition.maxAlive * HORDE_CONFIG.maxAliveMultiplier)
+    };
+}
+
+/**
+ * Definition of a wave from the table, extrapolated past its end
+ * 
+ * @param {number} number - Wave number (1-based)
+ * @returns {Object} - Wave definition
+ */
+function getBaseWaveDefinition(number) {
+    const table = (runMap && runMap.waves) || WAVE_CONFIG.waves; // Custom maps may script their own waves
+    if (number <= table.length) {
+        return table[number - 1];
+    }
+
+    const endless = WAVE_CONFIG.endless;
+    const last = table[table.length - 1];
+    const extra = number - table.length;
+    const enemyCounts = {};
+    for (let typeId in last.enemies) {
+        enemyCounts[typeId] = Math.round(last.enemies[typeId] * Math.pow(endless.countGrowth, extra));
+    }
+    return {
+        enemies: enemyCounts,
+        spawnRate: last.spawnRate.map(rate => rate + endless.spawnRateGrowth * extra),
+        maxAlive: Math.min(endless.maxAliveCap, last.maxAlive + endless.maxAliveGrowth * extra)
+    };
+}
+
+/**
+ * Show the wave banner on the canvas
+ * 
+ * @param {string} text - Headline
+ * @param {string} subtext - Smaller line underneath
+ */
+function showWaveBanner(text, subtext) {
+    wave.bannerText = text;
+    wave.bannerSubtext = subtext;
+    wave.bannerTimer = WAVE_CONFIG.bannerTime;
+}
+
+/**
+ * Begin the next wave: build and shuffle its spawn queue
+ */
+function startNextWave() {
+    wave.number++;
+    wave.state = 'active';
+    wave.definition = getWaveDefinition(wave.number);
+    wave.queue = [];
+    for (let typeId in wave.definition.enemies) {
+        for (let i = 0; i < wave.definition.enemies[typeId]; i++) {
+            wave.queue.push(typeId);
+        }
+    }
+
+    // Fisher-Yates shuffle so types arrive mixed
+    for (let i = wave.queue.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [wave.queue[i], wave.queue[j]] = [wave.queue[j], wave.queue[i]];
+    }
+    wave.total = wave.queue.length;
+    wave.spawnTimer = 0;
+    emit('waveStarted', { number: wave.number });
+}
+
+/**
+ * Run the wave director for one tick
+ * 
+ * @param {number} dt - Seconds simulated this tick
+ */
+function updateWaves(dt) {
+    wave.bannerTimer = Math.max(0, wave.bannerTimer - dt);
+
+    // The benchmark keeps a fixed number of ghosts instead of running waves
+    if (benchmarkHorde) {
+        fillBenchmarkHorde();
+        return;
+    }
+
+    if (wave.state === 'intermission') {
+        wave.timer -= dt;
+        if (wave.timer <= 0) {
+            startNextWave();
+            showWaveBanner(`Wave ${wave.number}`, 'Here they come!');
+        }
+        return;
+    }
+
+    // Spawn from the queue, ramping the rate as the wave progresses
+    if (wave.queue.length > 0) {
+        wave.spawnTimer -= dt;
+        if (wave.spawnTimer <= 0 && enemies.length < wave.definition.maxAlive) {
+            spawnEnemy(wave.queue.pop());
+
+            const progress = 1 - wave.queue.length / wave.total;
+            const [startRate, endRate] = wave.definition.spawnRate;
+            const rate = startRate + (endRate - startRate) * progress;
+            wave.spawnTimer = (0.5 + random()) / rate; // Jittered around the average interval
+        }
+        return;
+    }
+
+    // Queue empty - the wave is cleared once every enemy is gone
+    if (enemies.length === 0) {
+        const bonus = WAVE_CONFIG.clearBonus.base + WAVE_CONFIG.clearBonus.perWave * wave.number;
+        addScore({ waves: bonus });
+        showWaveBanner(`Wave ${wave.number} cleared!`, `+${bonus} bonus • Wave ${wave.number + 1} next`);
+        wave.state = 'intermission';
+        wave.timer = WAVE_CONFIG.intermission;
+    }
+}
+
+/**
+ * Spawn new enemy ghost at a random spawn edge or spawn point
+ * Generated maps spawn from all four edges; custom maps choose their own
+ * 
+ * @param {string} typeId - Key into ENEMY_TYPES
+ */
+function spawnEnemy(typeId) {
+    const spawns = runMap ? runMap.spawns : DEFAULT_SPAWNS;
+    const choice = Math.floor(random() * (spawns.edges.length + spawns.points.length));
+    let x, y;
+
+    if (choice >= spawns.edges.length) {
+        const point = spawns.points[choice - spawns.edges.length];
+        x = point.x;
+        y = point.y;
+    } else {
+        switch (spawns.edges[choice]) {
+            case 'top':
+                x = random() * WORLD_WIDTH;
+                y = 0;
+                break;
+            case 'right':
+                x = WORLD_WIDTH;
+                y = random() * WORLD_HEIGHT;
+                break;
+            case 'bottom':
+                x = random() * WORLD_WIDTH;
+                y = WORLD_HEIGHT;
+                break;
+            case 'left':
+                x = 0;
+                y = random() * WORLD_HEIGHT;
+                break;
+        }
+    }
+
+    const enemy = createEnemy(typeId, x, y);
+    enemies.push(enemy);
+    emit('ghostSpawned', { enemy: enemy });
+    if (typeId === 'red') {
+        emit('redGhostSpawned', { enemy: enemy });
+    }
+}
+
+/**
+ * Top the ghost count back up to the benchmark's target
+ * Runs in place of the wave director while benchmarking
+ */
+function fillBenchmarkHorde() {
+    const mix = Object.entries(benchmarkHorde.mix);
+    const totalWeight = mix.reduce((sum, [, weight]) => sum + weight, 0);
+    const probe = { radius: MAX_ENEMY_RADIUS };
+
+    while (enemies.length < benchmarkHorde.count) {
+        let roll = random() * totalWeight;
+        const [typeId] = mix.find(([, weight]) => (roll -= weight) < 0) || mix[0];
+
+        // Anywhere free of obstacles and not on top of the owner
+        let x, y;
+        do {
+            x = random() * WORLD_WIDTH;
+            y = random() * WORLD_HEIGHT;
+        } while (collidesWithObstacle(probe, x, y) ||
+            Math.hypot(x - owner.x, y - owner.y) < benchmarkHorde.minSpawnDistance);
+        enemies.push(createEnemy(typeId, x, y));
+    }
+}
+
+/**
+ * Build an enemy entity from its registry entry
+ * Removed enemies are recycled from the pool, so hordes don't churn garbage;
+ * behavior init() must set every behavior field it relies on
+ * 
+ * @param {string} typeId - Key into ENEMY_TYPES
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {Object} - New enemy entity
+ */
+export function createEnemy(typeId, x, y) {
+    const type = ENEMY_TYPES[typeId];
+    const enemy = enemyPool.pop() || {};
+    enemy.type = typeId;
+    enemy.active = true;         // False once removed and back in the pool
+    enemy.x = x;
+    enemy.y = y;
+    enemy.prevX = x;
+    enemy.prevY = y;
+    enemy.radius = type.radius;
+    enemy.speed = type.speed[0] + random() * (type.speed[1] - type.speed[0]); // Pixels per second
+    enemy.hp = type.hp;
+    enemy.hitTimer = 0;          // Remaining invulnerability after being hit
+    enemy.stunTimer = 0;         // Remaining stun from a hiss
+    enemy.facingRight = false;
+
+    const behavior = ENEMY_BEHAVIORS[type.behavior];
+    if (behavior.init) {
+        behavior.init(enemy, type);
+    }
+    return enemy;
+}
+
+/**
+ * Remove an enemy and return it to the pool
+ * The last enemy takes its slot instead of shifting the array, so removal
+ * is constant time; loops that remove while iterating must run backwards
+ * 
+ * @param {number} index - Index of the enemy in the enemies array
+ */
+function removeEnemy(index) {
+    const enemy = enemies[index];
+    const last = enemies.pop();
+    if (index < enemies.length) {
+        enemies[index] = last;
+    }
+    enemy.active = false;
+    enemyPool.push(enemy);
+}
+
+/**
+ * Return every enemy to the pool
+ */
+function removeAllEnemies() {
+    for (let enemy of enemies) {
+        enemy.active = false;
+        enemyPool.push(enemy);
+    }
+    enemies.length = 0;
+}
+
+// ===== POWER-UP SYSTEM =====
+
+export let powerups = [];          // Pickups lying in the world
+export let activeEffects = {};     // Power-up id -> seconds remaining (null = until used)
+let powerupSpawnTimer = 0;  // Seconds until the next pickup appears
+
+/**
+ * Seconds until the next pickup, drawn from the configured interval
+ * 
+ * @returns {number} - Seconds
+ */
+function rollPowerupInterval() {
+    const [min, max] = POWERUP_CONFIG.spawnInterval;
+    return min + random() * (max - min);
+}
+
+/**
+ * Choose which power-up to spawn, weighted by POWERUP_TYPES[...].weight
+ * Fish are left out while the owner has all their lives
+ * 
+ * @returns {string} - Key into POWERUP_TYPES
+ */
+function pickPowerupType() {
+    const candidates = Object.keys(POWERUP_TYPES).filter(id => id !== 'fish' || lives < MAX_LIVES);
+    const totalWeight = candidates.reduce((sum, id) => sum + POWERUP_TYPES[id].weight, 0);
+    let roll = random() * totalWeight;
+    for (let id of candidates) {
+        roll -= POWERUP_TYPES[id].weight;
+        if (roll < 0) return id;
+    }
+    return candidates[candidates.length - 1];
+}
+
+/**
+ * Place a new pickup at a random valid spot near the owner
+ * Gives up quietly if no free spot is found (e.g. surrounded by obstacles)
+ */
+function spawnPowerup() {
+    const [minDistance, maxDistance] = POWERUP_CONFIG.spawnDistance;
+    const probe = { radius: POWERUP_CONFIG.radius };
+    const typeId = pickPowerupType();
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const angle = random() * Math.PI * 2;
+        const distance = minDistance + random() * (maxDistance - minDistance);
+        const x = owner.x + Math.cos(angle) * distance;
+        const y = owner.y + Math.sin(angle) * distance;
+        if (isValidPosition(probe, x, y)) {
+            powerups.push({
+                type: typeId,
+                x: x,
+                y: y,
+                radius: POWERUP_CONFIG.radius,
+                life: POWERUP_CONFIG.lifetime   // Seconds until it vanishes
+            });
+            return;
+        }
+    }
+}
+
+/**
+ * Spawn, expire and collect pickups, and count down active effects
+ * 
+ * @param {number} dt - Seconds to simulate
+ */
+function updatePowerups(dt) {
+    powerupSpawnTimer -= dt;
+    if (powerupSpawnTimer <= 0) {
+        powerupSpawnTimer = rollPowerupInterval();
+        if (powerups.length < POWERUP_CONFIG.maxOnField) {
+            spawnPowerup();
+        }
+    }
+
+    for (let i = powerups.length - 1; i >= 0; i--) {
+        const powerup = powerups[i];
+        powerup.life -= dt;
+        if (cats.some(cat => circleCollision(powerup, cat))) {
+            powerups.splice(i, 1);
+            applyPowerup(powerup.type);
+        } else if (powerup.life <= 0) {
+            powerups.splice(i, 1);
+        }
+    }
+
+    for (let id in activeEffects) {
+        if (activeEffects[id] === null) continue; // Lasts until used
+        activeEffects[id] -= dt;
+        if (activeEffects[id] <= 0) {
+            delete activeEffects[id];
+        }
+    }
+}
+
+/**
+ * Apply a collected power-up
+ * Picking up an effect that is already active restarts its timer
+ * 
+ * @param {string} typeId - Key into POWERUP_TYPES
+ */
+function applyPowerup(typeId) {
+    const type = POWERUP_TYPES[typeId];
+    if (type.instant) {
+        lives = Math.min(MAX_LIVES, lives + 1);
+        return;
+    }
+    activeEffects[typeId] = type.duration;
+}
+
+/**
+ * Cat movement speed including the catnip boost (shared by every cat)
+ * 
+ * @param {Object} cat - Cat to measure
+ * @returns {number} - Pixels per second
+ */
+function getCatSpeed(cat) {
+    return 'catnip' in activeEffects ? cat.speed * POWERUP_TYPES.catnip.catSpeedMultiplier : cat.speed;
+}
+
+/**
+ * How fast ghosts experience time - the bell slows every ghost down
+ * 
+ * @returns {number} - Multiplier applied to the ghosts' tick duration
+ */
+function getGhostTimeScale() {
+    return 'bell' in activeEffects ? POWERUP_TYPES.bell.ghostSpeedMultiplier : 1;
+}
+
+// ===== ENEMY BEHAVIORS =====
+
+/**
+ * Move an enemy along the flow field toward the owner
+ * When obstacles wall the owner off completely the ghost drifts straight
+ * through them instead, so a trapped owner can't stall the game
+ * 
+ * @param {Object} enemy - Enemy entity
+ * @param {number} speed - Pixels per second
+ * @param {number} dt - Seconds to simulate
+ */
+function chaseOwner(enemy, speed, dt) {
+    const steering = getSteeringDirection(enemy);
+    if (steering.unreachable) {
+        const length = Math.sqrt(steering.x * steering.x + steering.y * steering.y) || 1;
+        enemy.x += (steering.x / length) * speed * dt;
+        enemy.y += (steering.y / length) * speed * dt;
+        enemy.facingRight = steering.x > 0;
+        return;
+    }
+    moveEnemyAlong(enemy, steering.x, steering.y, speed, dt);
+}
+
+/**
+ * Move an enemy in a direction at a given speed
+ * 
+ * @param {Object} enemy - Enemy entity
+ * @param {number} dirX - Direction X (any length)
+ * @param {number} dirY - Direction Y (any length)
+ * @param {number} speed - Pixels per second
+ * @param {number} dt - Seconds to simulate
+ * @returns {boolean} - False if an obstacle stopped any part of the movement
+ */
+function moveEnemyAlong(enemy, dirX, dirY, speed, dt) {
+    const length = Math.sqrt(dirX * dirX + dirY * dirY);
+    if (length === 0) return true;
+
+    const moveX = (dirX / length) * speed * dt;
+    const moveY = (dirY / length) * speed * dt;
+    enemy.facingRight = moveX > 0; // Update sprite orientation
+    return moveGhost(enemy, moveX, moveY);
+}
+
+/**
+ * Behavior implementations referenced by ENEMY_TYPES[...].behavior
+ * 
+ * Each behavior may define:
+ * - init(enemy, type): set up per-enemy state when spawned
+ * - update(enemy, type, dt): move the enemy for one tick
+ * - isCatchable(enemy): whether the cat can currently catch it (default true)
+ * How each behavior looks is up to the renderer's BEHAVIOR_VISUALS
+ */
+const ENEMY_BEHAVIORS = {
+    /**
+     * Chase - follow the flow field straight to the owner
+     */
+    chase: {
+        update(enemy, type, dt) {
+            chaseOwner(enemy, enemy.speed, dt);
+        }
+    },
+
+    /**
+     * Phase - chase while blinking in and out of sight; phased ghosts are
+     * nearly invisible and slip straight through the cat
+     */
+    phase: {
+        init(enemy, type) {
+            enemy.phased = false;
+            enemy.phaseTimer = random() * type.visibleTime; // Desync blinking between ghosts
+        },
+        update(enemy, type, dt) {
+            enemy.phaseTimer -= dt;
+            if (enemy.phaseTimer <= 0) {
+                enemy.phased = !enemy.phased;
+                enemy.phaseTimer = enemy.phased ? type.phasedTime : type.visibleTime;
+            }
+            chaseOwner(enemy, enemy.speed, dt);
+        },
+        isCatchable(enemy) {
+            return !enemy.phased;
+        }
+    },
+
+    /**
+     * Circle - close in, orbit the owner for a while, then dive at it
+     */
+    circle: {
+        init(enemy, type) {
+            enemy.state = 'approach';
+            enemy.orbitAngle = 0;
+            enemy.orbitDirection = random() < 0.5 ? -1 : 1;
+            enemy.stateTimer = 0;
+        },
+        update(enemy, type, dt) {
+            const dx = enemy.x - owner.x;
+            const dy = enemy.y - owner.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (enemy.state === 'approach') {
+                chaseOwner(enemy, enemy.speed, dt);
+                if (distance <= type.orbitRadius + 20 && hasLineOfSight(enemy.x, enemy.y, owner.x, owner.y)) {
+                    enemy.state = 'orbit';
+                    enemy.orbitAngle = Math.atan2(dy, dx);
+                    enemy.stateTimer = type.orbitTime[0] + random() * (type.orbitTime[1] - type.orbitTime[0]);
+                }
+            } else if (enemy.state === 'orbit') {
+                // Slide the orbit point around the owner and chase it
+                enemy.orbitAngle += enemy.orbitDirection * (enemy.speed / type.orbitRadius) * dt;
+                const targetX = owner.x + Math.cos(enemy.orbitAngle) * type.orbitRadius;
+                const targetY = owner.y + Math.sin(enemy.orbitAngle) * type.orbitRadius;
+                const toTargetX = targetX - enemy.x;
+                const toTargetY = targetY - enemy.y;
+                const toTarget = Math.sqrt(toTargetX * toTargetX + toTargetY * toTargetY);
+                moveEnemyAlong(enemy, toTargetX, toTargetY, Math.min(enemy.speed * 1.5, toTarget / dt), dt);
+
+                enemy.stateTimer -= dt;
+                if (enemy.stateTimer <= 0) {
+                    enemy.state = 'dive';
+                }
+            } else {
+                chaseOwner(enemy, enemy.speed * type.diveSpeedMultiplier, dt);
+            }
+        }
+    },
+
+    /**
+     * Charge - stalk the owner, stop and telegraph when in range, then dash
+     * in a straight line before recovering
+     */
+    charge: {
+        init(enemy, type) {
+            enemy.state = 'stalk';
+            enemy.stateTimer = 0;
+            enemy.chargeX = 0;
+            enemy.chargeY = 0;
+        },
+        update(enemy, type, dt) {
+            const dx = owner.x - enemy.x;
+            const dy = owner.y - enemy.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (enemy.state === 'stalk') {
+                chaseOwner(enemy, enemy.speed, dt);
+                if (distance < type.chargeRange && hasLineOfSight(enemy.x, enemy.y, owner.x, owner.y)) {
+                    enemy.state = 'windup';
+                    enemy.stateTimer = type.windupTime;
+                }
+            } else if (enemy.state === 'windup') {
+                // Keep aiming at the owner until the dash starts
+                if (distance > 0) {
+                    enemy.chargeX = dx / distance;
+                    enemy.chargeY = dy / distance;
+                    enemy.facingRight = dx > 0;
+                }
+                enemy.stateTimer -= dt;
+                if (enemy.stateTimer <= 0) {
+                    enemy.state = 'dash';
+                    enemy.stateTimer = type.dashTime;
+                }
+            } else if (enemy.state === 'dash') {
+                const moved = moveEnemyAlong(enemy, enemy.chargeX, enemy.chargeY, type.dashSpeed, dt);
+                enemy.stateTimer -= dt;
+                if (enemy.stateTimer <= 0 || !moved) { // Dash ends early on hitting an obstacle
+                    enemy.state = 'recover';
+                    enemy.stateTimer = type.recoverTime;
+                }
+            } else {
+                chaseOwner(enemy, enemy.speed * 0.4, dt);
+                enemy.stateTimer -= dt;
+                if (enemy.stateTimer <= 0) {
+                    enemy.state = 'stalk';
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Add points to the score and keep the high score in sync
+ * 
+ * @param {Object} parts - Points to add by source (keys of runStats.points)
+ * @param {Object} [cat] - Cat credited with the points; team bonuses have none
+ * @returns {number} - Total points added
+ */
+function addScore(parts, cat = null) {
+    let points = 0;
+    for (let source in parts) {
+        runStats.points[source] += parts[source];
+        points += parts[source];
+    }
+    score += points;
+    if (cat) {
+        cat.score += points;
+    }
+
+    // Benchmark hordes score as usual but never compete for the high score
+    if (score > highScore && !benchmarkHorde) {
+        // The moment the old record falls is flagged (not the very first points ever)
+        emit('highScore', { score: score, recordBroken: !newHighScore && highScore > 0 });
+        highScore = score;
+        newHighScore = true;
+    }
+    return points;
+}
+
+/**
+ * Resolve the cat touching an enemy
+ * Multi-hp enemies lose one hp and are knocked back; the last hit catches the
+ * enemy, awards its score and releases any enemies it splits into
+ * 
+ * @param {number} index - Index of the enemy in the enemies array
+ * @param {Object} cat - Cat that hit the enemy, credited with the catch
+ * @returns {boolean} - True if the enemy was caught and removed
+ */
+function hitEnemy(index, cat) {
+    const enemy = enemies[index];
+    const type = ENEMY_TYPES[enemy.type];
+
+    enemy.hp--;
+    if (enemy.hp > 0) {
+        // Knock the enemy away from the cat and make it briefly immune
+        const dx = enemy.x - cat.x;
+        const dy = enemy.y - cat.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        moveGhost(enemy, (dx / distance) * ENEMY_KNOCKBACK, (dy / distance) * ENEMY_KNOCKBACK);
+        enemy.hitTimer = ENEMY_HIT_INVULNERABILITY;
+        emit('ghostHit', { enemy: enemy, cat: cat });
+        return false;
+    }
+
+    // Score the catch: type value and close-call bonus, both multiplied by the combo
+    const multiplier = addComboCatch();
+    const closeCall = Math.hypot(enemy.x - owner.x, enemy.y - owner.y) <= SCORING.closeCall.radius;
+    const bonus = closeCall ? SCORING.closeCall.points : 0;
+    const points = addScore({
+        catches: type.score,
+        closeCall: bonus,
+        combo: (type.score + bonus) * (multiplier - 1)
+    }, cat);
+    runStats.caught[enemy.type] = (runStats.caught[enemy.type] || 0) + 1;
+    emit('ghostCaught', { enemy: enemy, points: points, cat: cat, multiplier: multiplier, closeCall: closeCall });
+
+    // Release smaller enemies, spread out around the caught one and briefly
+    // immune so the cat doesn't scoop them up on the same touch
+    if (type.splitInto) {
+        for (let i = 0; i < type.splitCount; i++) {
+            const angle = (i / type.splitCount) * Math.PI * 2 + random() * Math.PI;
+            const child = createEnemy(type.splitInto,
+                enemy.x + Math.cos(angle) * type.radius * 2,
+                enemy.y + Math.sin(angle) * type.radius * 2);
+            child.hitTimer = ENEMY_HIT_INVULNERABILITY;
+            enemies.push(child);
+        }
+    }
+
+    // Removed last: the pool would otherwise hand this very object to a child
+    removeEnemy(index);
+    return true;
+}
+
+/**
+ * Remove enemies that are too far from the action
+ * Prevents memory leaks and improves performance
+ */
+function cleanupDistantEnemies() {
+    const MAX_DISTANCE = Math.max(WORLD_WIDTH, WORLD_HEIGHT, DEFAULT_WORLD_WIDTH) * 0.8; // 80% of the world's size
+    
+    // Iterate backwards to safely remove elements during iteration
+    for (let i = enemies.length - 1; i >= 0; i--) {
+        const enemy = enemies[i];
+        const dx = owner.x - enemy.x;
+        const dy = owner.y - enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Remove if too far from owner
+        if (distance > MAX_DISTANCE) {
+            removeEnemy(i);
+        }
+    }
+}
+
+/**
+ * Update all enemy positions and handle collisions
+ * Core gameplay logic for enemy behavior and interactions
+ * 
+ * @param {number} dt - Seconds to simulate
+ */
+function updateEnemies(dt) {
+    // Iterate backwards to safely remove enemies during loop
+    for (let i = enemies.length - 1; i >= 0; i--) {
+        const enemy = enemies[i];
+        const type = ENEMY_TYPES[enemy.type];
+        const behavior = ENEMY_BEHAVIORS[type.behavior];
+        
+        // Let the enemy's behavior move it, unless it is stunned by a hiss
+        enemy.hitTimer = Math.max(0, enemy.hitTimer - dt);
+        if (enemy.stunTimer > 0) {
+            enemy.stunTimer = Math.max(0, enemy.stunTimer - dt);
+        } else {
+            behavior.update(enemy, type, dt * getGhostTimeScale());
+        }
+
+        // Distance to the owner (straight line)
+        const dx = owner.x - enemy.x;
+        const dy = owner.y - enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Check collision with the cats (the catching player scores)
+        const catcher = isEnemyCatchable(enemy) && cats.find(cat => circleCollision(enemy, cat));
+        if (catcher && hitEnemy(i, catcher)) {
+            continue; // Skip to next enemy
+        }
+        
+        // Check collision with owner (player loses life) - stunned ghosts are harmless
+        if (enemy.stunTimer === 0 && circleCollision(enemy, owner)) {
+            removeEnemy(i);        // Remove enemy
+            if (benchmarkHorde) continue;
+
+            // A charm absorbs the hit instead of a life
+            if ('charm' in activeEffects) {
+                delete activeEffects.charm;
+                emit('charmUsed');
+                continue;
+            }
+
+            lives--;               // Decrease lives
+            runStats.livesLost++;
+            breakStreaks();
+            emit('ownerHit', { lives: lives });
+            
+            // Check for game over condition; later ghosts on this tick no longer count
+            if (lives <= 0) {
+                endGame();
+                return;
+            }
+            continue; // Skip to next enemy
+        }
+
+        // Remove enemies that have moved too far from the world
+        if (distance > WORLD_WIDTH) {
+            removeEnemy(i);
+        }
+    }
+}
+
+/**
+ * Whether the cat can catch an enemy right now
+ * Enemies are immune just after a hit, and behaviors may refuse (phasing)
+ * 
+ * @param {Object} enemy - Enemy entity
+ * @returns {boolean} - True if touching the cat would catch it
+ */
+function isEnemyCatchable(enemy) {
+    const behavior = ENEMY_BEHAVIORS[ENEMY_TYPES[enemy.type].behavior];
+    return enemy.hitTimer === 0 && (!behavior.isCatchable || behavior.isCatchable(enemy));
+}
+
+/**
+ * Move a ghost while respecting obstacles
+ * X and Y are applied separately so ghosts slide along walls; a ghost that
+ * somehow ended up inside an obstacle is allowed to move freely until it is out
+ * 
+ * @param {Object} enemy - Ghost entity
+ * @param {number} moveX - Desired X movement this tick
+ * @param {number} moveY - Desired Y movement this tick
+ * @returns {boolean} - False if an obstacle blocked either axis
+ */
+function moveGhost(enemy, moveX, moveY) {
+    if (collidesWithObstacle(enemy, enemy.x, enemy.y)) {
+        enemy.x += moveX;
+        enemy.y += moveY;
+        return true;
+    }
+
+    let moved = true;
+    if (!collidesWithObstacle(enemy, enemy.x + moveX, enemy.y)) {
+        enemy.x += moveX;
+    } else {
+        moved = false;
+    }
+    if (!collidesWithObstacle(enemy, enemy.x, enemy.y + moveY)) {
+        enemy.y += moveY;
+    } else {
+        moved = false;
+    }
+    return moved;
+}
+
+// ===== COMBOS & BONUSES =====
+
+/**
+ * Fresh combo and bonus timers for a new run
+ * 
+ * @returns {Object} - Scoring state
+ */
+function createScoringState() {
+    return {
+        combo: 0,              // Catches counted towards the multiplier
+        multiplier: 1,
+        comboTimer: 0,         // Seconds until the multiplier drops a step
+        survivalTimer: 0,      // Seconds towards the next survival bonus
+        noDamageTimer: 0,      // Seconds towards the next no-damage bonus
+        noDamageStreak: 0      // No-damage bonuses paid since the last lost life
+    };
+}
+
+/**
+ * Combo multiplier for a number of combo catches
+ * 
+ * @param {number} combo - Catches counted towards the multiplier
+ * @returns {number} - Whole multiplier, 1 to SCORING.combo.maxMultiplier
+ */
+function getComboMultiplier(combo) {
+    const { catchesPerStep, maxMultiplier } = SCORING.combo;
+    return Math.min(maxMultiplier, 1 + Math.floor(Math.max(0, combo - 1) / catchesPerStep));
+}
+
+/**
+ * Set the combo count, reporting changes of the multiplier
+ * 
+ * @param {number} combo - New combo count
+ */
+function setCombo(combo) {
+    scoring.combo = combo;
+    const multiplier = getComboMultiplier(combo);
+    if (multiplier !== scoring.multiplier) {
+        scoring.multiplier = multiplier;
+        emit('combo', { count: combo, multiplier: multiplier });
+    }
+}
+
+/**
+ * Count a catch towards the combo and refill its timer
+ * 
+ * @returns {number} - Multiplier the catch scores with
+ */
+function addComboCatch() {
+    setCombo(scoring.combo + 1);
+    scoring.comboTimer = SCORING.combo.window;
+    runStats.bestCombo = Math.max(runStats.bestCombo, scoring.combo);
+    return scoring.multiplier;
+}
+
+/**
+ * Drop the combo and the no-damage streak after the owner lost a life
+ */
+function breakStreaks() {
+    setCombo(0);
+    scoring.comboTimer = 0;
+    scoring.noDamageTimer = 0;
+    scoring.noDamageStreak = 0;
+}
+
+/**
+ * Decay the combo and pay survival and no-damage bonuses
+ * 
+ * @param {number} dt - Seconds to simulate
+ */
+function updateScoring(dt) {
+    // Without fresh catches the multiplier steps back down
+    if (scoring.combo > 0) {
+        scoring.comboTimer -= dt;
+        if (scoring.comboTimer <= 0) {
+            const { catchesPerStep, decayTime } = SCORING.combo;
+            const stepStart = (scoring.multiplier - 2) * catchesPerStep + 1; // First catch of the step below
+            setCombo(Math.max(0, Math.min(scoring.combo - 1, stepStart)));
+            scoring.comboTimer = scoring.combo > 0 ? decayTime : 0;
+        }
+    }
+
+    scoring.survivalTimer += dt;
+    if (scoring.survivalTimer >= SCORING.survival.interval) {
+        scoring.survivalTimer -= SCORING.survival.interval;
+        const points = addScore({ survival: SCORING.survival.points });
+        emit('bonus', { kind: 'survival', points: points });
+    }
+
+    scoring.noDamageTimer += dt;
+    if (scoring.noDamageTimer >= SCORING.noDamage.interval) {
+        scoring.noDamageTimer -= SCORING.noDamage.interval;
+        scoring.noDamageStreak = Math.min(SCORING.noDamage.maxStreak, scoring.noDamageStreak + 1);
+        const points = addScore({ noDamage: SCORING.noDamage.points * scoring.noDamageStreak });
+        emit('bonus', { kind: 'noDamage', points: points });
+    }
+}
+
+// ===== SIMULATION STEP =====
+
+/**
+ * Remember where every moving entity was at the start of a tick
+ * Used by interpolatePosition() when rendering between ticks
+ */
+export function storePreviousPositions() {
+    for (let entity of [...cats, owner, ...enemies]) {
+        entity.prevX = entity.x;
+        entity.prevY = entity.y;
+    }
+}
+
+/**
+ * Advance the simulation by exactly one fixed tick
+ * Given the same seed and the same sequence of inputs this always produces
+ * the same run, which is what makes replays possible
+ * 
+ * @param {number} dt - Seconds to simulate (always TICK_DURATION)
+ * @param {number[]} inputs - Packed input of each player for this tick
+ */
+function update(dt, inputs) {
+    storePreviousPositions();
+    buildEnemyHash();
+    simulationTime += dt;
+    tickCount++;
+
+    // Update all game systems in order
+    for (let cat of cats) {
+        updateCat(cat, dt, inputs[cat.player] || 0); // Process player input
+    }
+    updateOwner(dt);            // Update AI movement
+    updateWaves(dt);            // Let the wave director spawn enemies
+    updatePowerups(dt);         // Spawn, expire and collect pickups
+    updateFlowField();          // Re-route ghosts if the owner changed cells
+    updateEnemies(dt);          // Update enemy positions and collisions
+    cleanupDistantEnemies();    // Remove far-away enemies
+    if (gameRunning) {
+        updateScoring(dt);      // Combo decay and time bonuses
+    }
+}
+
+/**
+ * Stop the run once the owner has no lives left
+ */
+function endGame() {
+    gameRunning = false;
+    emit('gameOver', { score: score });
+}
+
+/**
+ * Pick a free spot next to player one's start for the co-op cat
+ * 
+ * @param {Object} start - Player one's start position
+ * @returns {Object} - { x, y }
+ */
+function findSecondCatStart(start) {
+    const probe = createCat(1, 0, 0);
+    const offsets = [[-60, 0], [60, 0], [0, -60], [0, 60], [-40, -40], [40, 40]];
+    for (let [dx, dy] of offsets) {
+        if (isValidPosition(probe, start.x + dx, start.y + dy)) {
+            return { x: start.x + dx, y: start.y + dy };
+        }
+    }
+    return { x: start.x, y: start.y };
+}
+
+// ===== PUBLIC API =====
+
+/**
+ * Start a new game, replacing the current one
+ * Every piece of simulation state is reset, so new games and replays of the
+ * same setup start from identical state
+ * 
+ * @param {Object} config - Game setup
+ * @param {number} config.seed - Seed for the run's random number generator
+ * @param {string} [config.theme] - World theme key, or 'random' to pick one from the seed
+ * @param {Object|null} [config.map] - Custom map (from parseMap) to play instead of a generated one
+ * @param {number} [config.players] - Number of cats (2 for co-op)
+ * @param {string} [config.variant] - 'standard' or 'horde'
+ * @param {number} [config.highScore] - Score to beat
+ * @param {Object|null} [config.benchmark] - { count, mix, minSpawnDistance }: hold a fixed
+ *   horde instead of running waves; the owner can't be hurt
+ * @param {function(string, Object)} [config.onEvent] - Called with each simulation event
+ * @returns {Object} - The new game's state, as from getState()
+ */
+export function createGame({
+    seed,
+    theme = 'random',
+    map = null,
+    players = 1,
+    variant = 'standard',
+    highScore: scoreToBeat = 0,
+    benchmark = null,
+    onEvent = null
+}) {
+    runSeed = seed >>> 0;
+    random = createRng(runSeed);
+    runMap = map;
+    playerCount = players;
+    runVariant = variant;
+    highScore = scoreToBeat;
+    benchmarkHorde = benchmark;
+    eventListener = onEvent;
+    setWorldSize(map ? map.world.width : DEFAULT_WORLD_WIDTH, map ? map.world.height : DEFAULT_WORLD_HEIGHT);
+
+    // Build the world and its ghost navigation grid
+    if (map) {
+        obstacles = map.obstacles.map(obstacle => ({ ...obstacle }));
+        worldTheme = 'field';
+    } else {
+        createObstacles(runSeed, theme);
+    }
+    buildNavGrid();
+
+    gameRunning = true;
+    score = 0;
+    lives = MAX_LIVES;
+    newHighScore = false;
+    runStats = {
+        caught: {},
+        livesLost: 0,
+        bestCombo: 0,
+        points: { catches: 0, closeCall: 0, combo: 0, waves: 0, survival: 0, noDamage: 0 }
+    };
+    scoring = createScoringState();
+    removeAllEnemies();
+    wave = createWaveState();
+    powerups = [];
+    activeEffects = {};
+    powerupSpawnTimer = rollPowerupInterval();
+    simulationTime = 0;
+    tickCount = 0;
+
+    // Reset entity positions to the spawn-safe starts
+    const starts = getStartPositions();
+    cats = [createCat(0, starts.cat.x, starts.cat.y)];
+    if (players > 1) {
+        const second = findSecondCatStart(starts.cat);
+        cats.push(createCat(1, second.x, second.y));
+    }
+    owner.x = starts.owner.x;
+    owner.y = starts.owner.y;
+    owner.direction = random() * Math.PI * 2;
+    owner.changeDirectionTimer = 0;
+    owner.changeDirectionAfter = 2;
+    owner.aiState = 'wander';
+    owner.fearTimer = 0;
+    owner.stuckTimer = 0;
+    owner.unstickTimer = 0;
+    owner.facingLeft = false;
+    owner.prevX = owner.x;
+    owner.prevY = owner.y;
+
+    if (benchmarkHorde) {
+        fillBenchmarkHorde();
+    }
+    emit('gameStarted', { seed: runSeed, players: players, variant: variant });
+    return getState();
+}
+
+/**
+ * Advance the current game by one fixed tick
+ * Does nothing once the game is over
+ * 
+ * @param {number[]} [inputs] - Packed input of each player (see packInput); missing players idle
+ */
+export function step(inputs = []) {
+    if (!gameRunning) return;
+    update(TICK_DURATION, inputs);
+}
+
+/**
+ * Stop the current game without a game over, e.g. when a benchmark ends
+ */
+export function stopGame() {
+    gameRunning = false;
+}
+
+/**
+ * Plain snapshot of the current game
+ * Nothing in it is shared with the simulation, so it is safe to keep or change
+ * 
+ * @returns {Object} - Game state
+ */
+export function getState() {
+    return {
+        running: gameRunning,
+        seed: runSeed,
+        tick: tickCount,
+        time: simulationTime,
+        score: score,
+        highScore: highScore,
+        newHighScore: newHighScore,
+        lives: lives,
+        variant: runVariant,
+        world: { width: WORLD_WIDTH, height: WORLD_HEIGHT, theme: worldTheme },
+        wave: {
+            number: wave.number,
+            state: wave.state,
+            queued: wave.queue.length,
+            maxAlive: wave.definition ? wave.definition.maxAlive : 0
+        },
+        cats: cats.map(cat => ({
+            player: cat.player,
+            x: cat.x,
+            y: cat.y,
+            score: cat.score,
+            stamina: cat.stamina
+        })),
+        owner: { x: owner.x, y: owner.y, aiState: owner.aiState },
+        enemies: enemies.map(enemy => ({ type: enemy.type, x: enemy.x, y: enemy.y, hp: enemy.hp })),
+        powerups: powerups.map(powerup => ({ type: powerup.type, x: powerup.x, y: powerup.y })),
+        activeEffects: { ...activeEffects },
+        obstacles: obstacles.map(obstacle => ({ ...obstacle })),
+        combo: scoring
+            ? { count: scoring.combo, multiplier: scoring.multiplier, timer: scoring.comboTimer }
+            : { count: 0, multiplier: 1, timer: 0 },
+        stats: runStats
+            ? {
+                caught: { ...runStats.caught },
+                livesLost: runStats.livesLost,
+                bestCombo: runStats.bestCombo,
+                points: { ...runStats.points }
+            }
+            : { caught: {}, livesLost: 0, bestCombo: 0, points: {} }
+    };
+}
+
+// ===== SNAPSHOTS =====
+
+/**
+ * Snapshot format version
+ * Bump whenever the simulation state changes shape, so older snapshots are
+ * refused instead of restored half-way
+ */
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Capture the whole current game as plain JSON-ready data
+ * Restoring it continues the run exactly, tick for tick, as if it had never
+ * stopped. Benchmark games can't be captured
+ * 
+ * @returns {Object} - Snapshot for restoreGame()
+ */
+export function serializeGame() {
+    if (benchmarkHorde) {
+        throw new Error('Benchmark games cannot be saved.');
+    }
+    const copy = value => JSON.parse(JSON.stringify(value));
+    return {
+        version: SNAPSHOT_VERSION,
+        seed: runSeed,
+        rngState: random.getState(),
+        map: copy(runMap),
+        players: playerCount,
+        variant: runVariant,
+        world: { width: WORLD_WIDTH, height: WORLD_HEIGHT, theme: worldTheme },
+        obstacles: copy(obstacles),
+        running: gameRunning,
+        score: score,
+        highScore: highScore,
+        newHighScore: newHighScore,
+        lives: lives,
+        runStats: copy(runStats),
+        scoring: copy(scoring),
+        time: simulationTime,
+        tick: tickCount,
+        cats: copy(cats),
+        owner: copy(owner),
+        enemies: copy(enemies),
+        wave: copy(wave),
+        powerups: copy(powerups),
+        activeEffects: copy(activeEffects),
+        powerupSpawnTimer: powerupSpawnTimer
+    };
+}
+
+/**
+ * Replace the current game with a snapshot from serializeGame()
+ * 
+ * @param {Object} snapshot - Snapshot data
+ * @param {function(string, Object)} [onEvent] - Called with each simulation event
+ * @returns {Object} - The restored game's state, as from getState()
+ * @throws {Error} - If the snapshot is from another version or incomplete
+ */
+export function restoreGame(snapshot, onEvent = null) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error('This saved game is from a different version of the game.');
+    }
+    if (!Array.isArray(snapshot.cats) || snapshot.cats.length === 0 || !Array.isArray(snapshot.enemies) ||
+        !Array.isArray(snapshot.obstacles) || !snapshot.owner || !snapshot.wave || !snapshot.world ||
+        !snapshot.runStats || !snapshot.scoring) {
+        throw new Error('This saved game is incomplete.');
+    }
+
+    runSeed = snapshot.seed >>> 0;
+    random = createRng(snapshot.rngState);
+    runMap = snapshot.map;
+    playerCount = snapshot.players;
+    runVariant = snapshot.variant;
+    benchmarkHorde = null;
+    eventListener = onEvent;
+    setWorldSize(snapshot.world.width, snapshot.world.height);
+    worldTheme = snapshot.world.theme;
+    obstacles = snapshot.obstacles;
+    buildNavGrid();
+
+    gameRunning = snapshot.running;
+    score = snapshot.score;
+    highScore = snapshot.highScore;
+    newHighScore = snapshot.newHighScore;
+    lives = snapshot.lives;
+    runStats = snapshot.runStats;
+    scoring = snapshot.scoring;
+    simulationTime = snapshot.time;
+    tickCount = snapshot.tick;
+
+    cats = snapshot.cats;
+    Object.assign(owner, snapshot.owner);
+    removeAllEnemies();
+    enemies.push(...snapshot.enemies);
+    wave = snapshot.wave;
+    powerups = snapshot.powerups;
+    activeEffects = snapshot.activeEffects;
+    powerupSpawnTimer = snapshot.powerupSpawnTimer;
+
+    updateFlowField(); // Ghosts steer from the owner's current cell, as before the snapshot
+    return getState();
+}
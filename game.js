@@ -2,23 +2,29 @@
  * KuroNeko Game - A 2D survival game where a cat protects its owner from ghosts
  * 
  * Game Mechanics:
- * - Player controls a cat using WASD or arrow keys
+ * - Player controls a cat with the keyboard (rebindable), a gamepad or a touch joystick
  * - Cat must catch ghosts before they reach the owner
  * - Regular ghosts (white) and red ghosts (faster, more dangerous)
  * - Lives decrease when ghosts reach the owner
  * - Score increases when cat catches ghosts
- * - Persistent high score tracking using localStorage
+ * - Per-mode high scores, a local leaderboard and lifetime statistics in localStorage
+ * 
+ * The simulation runs in core.js; this module is the browser layer around it:
+ * rendering, HUD, input devices, sound, effects, replays, the editor and menus
  */
 
-// ===== INITIALIZATION & SETUP =====
+import {
+    TICK_RATE, TICK_DURATION, simulationTime, tickCount, generateSeed, runSeed,
+    WORLD_WIDTH, WORLD_HEIGHT, ENEMY_TYPES, CAT_ABILITIES, POWERUP_TYPES,
+    gameRunning, score, runVariant, highScore, lives, newHighScore, runStats, SCORING, scoring,
+    playerCount, cats, owner, enemies, obstacles, wave, powerups, activeEffects,
+    INPUT_POUNCE, INPUT_HISS, packInput, getInputMove,
+    WORLD_THEMES, worldTheme, MAP_EDGES, MAP_LIMITS, runMap, parseMap, serializeMap, createBlankMap,
+    createGame, step, stopGame, storePreviousPositions,
+    SNAPSHOT_VERSION, serializeGame, restoreGame, GAME_EVENTS, createEventBus
+} from './core.js';
 
-/**
- * Initialize high score from localStorage
- * Creates initial high score of 0 if none exists
- */
-if (localStorage.getItem('KuroNeko_HighScore') === null) {
-    localStorage.setItem('KuroNeko_HighScore', '0');
-}
+// ===== INITIALIZATION & SETUP =====
 
 // Canvas and rendering context setup
 const canvas = document.getElementById('gameCanvas');
@@ -28,670 +34,5028 @@ const ctx = canvas.getContext('2d');
 const scoreElement = document.getElementById('scoreValue');
 const highScoreElement = document.getElementById('highScoreValue');
 const livesElement = document.getElementById('livesValue');
+const playerScoresElement = document.getElementById('playerScores');
+const finalPlayerScoresElement = document.getElementById('finalPlayerScores');
+const playersSelectElement = document.getElementById('playersSelect');
+const variantSelectElement = document.getElementById('variantSelect');
+const lightingSelectElement = document.getElementById('lightingSelect');
+const effectsElement = document.getElementById('effectsHud');
+const waveElement = document.getElementById('waveValue');
 const gameOverElement = document.getElementById('gameOver');
 const startScreenElement = document.getElementById('startScreen');
 const finalScoreElement = document.getElementById('finalScore');
+const finalRankElement = document.getElementById('finalRank');
+const scoreBreakdownElement = document.getElementById('scoreBreakdown');
+const comboElement = document.getElementById('combo');
+const comboValueElement = document.getElementById('comboValue');
+const comboFillElement = document.getElementById('comboFill');
+const themeSelectElement = document.getElementById('themeSelect');
+
+// Ability HUD row of each player
+const abilityHudRows = [1, 2].map(number => ({
+    container: document.getElementById(`abilitiesP${number}`),
+    stamina: document.getElementById(`staminaFillP${number}`),
+    pounce: document.getElementById(`pounceAbilityP${number}`),
+    hiss: document.getElementById(`hissAbilityP${number}`)
+}));
+const customMapOptionElement = document.getElementById('customMapOption');
+
+// ===== ASSETS =====
+
+/**
+ * Sprite sheets and their animation clips
+ * A sheet is cut into `frameWidth` x `frameHeight` frames, numbered left to
+ * right and top to bottom. A clip plays its `frames` at `fps` (looping unless
+ * `duration` is set) and can add a procedural `motion` from CLIP_MOTIONS on
+ * top, so single-frame art still bobs, hops and stretches. `facesLeft` marks
+ * art drawn facing left; drawSprite() flips everything else for us
+ */
+const SPRITE_SHEETS = {
+    cat: {
+        src: 'asset/neko.png',
+        frameWidth: 32,
+        frameHeight: 32,
+        clips: {
+            idle: { frames: [0], fps: 1, motion: 'breathe' },
+            walk: { frames: [0], fps: 8, motion: 'hop' },
+            catch: { frames: [0], fps: 1, motion: 'pounce', duration: 0.3 }
+        }
+    },
+    owner: {
+        src: 'asset/player.png',
+        frameWidth: 64,
+        frameHeight: 64,
+        clips: {
+            idle: { frames: [0], fps: 1, motion: 'breathe' },
+            walk: { frames: [0], fps: 6, motion: 'hop' }
+        }
+    },
+    ghost: {
+        src: 'asset/ghost.png',
+        frameWidth: 32,
+        frameHeight: 32,
+        facesLeft: true,
+        clips: {
+            float: { frames: [0], fps: 1, motion: 'float' }
+        }
+    },
+    red: {
+        src: 'asset/red.png',
+        frameWidth: 32,
+        frameHeight: 32,
+        facesLeft: true,
+        clips: {
+            float: { frames: [0], fps: 1, motion: 'float' }
+        }
+    }
+};
 
-// ===== SPRITE ASSETS =====
+// Plain images, drawn whole
+const IMAGE_ASSETS = {
+    grass: 'asset/grass.jpg'
+};
 
 /**
- * Game sprite assets
- * All sprites are loaded as Image objects for hardware-accelerated rendering
+ * Procedural clip motions
+ * Each takes the clip time (seconds) and the clip, and returns any of
+ * { y, rotation, scaleX, scaleY } to apply around the sprite's center
  */
-const catSprite = new Image();           // Player-controlled cat sprite
-const ghostSprite = new Image();         // Regular white ghost enemy
-const redGhostSprite = new Image();      // Fast red ghost enemy
-const playerSprite = new Image();        // Owner/player character sprite
-const grassSprite = new Image();         // Background grass tile
+const CLIP_MOTIONS = {
+    breathe: time => ({ scaleY: 1 + Math.sin(time * 3) * 0.03 }),
+    hop: (time, clip) => {
+        const phase = time * clip.fps * Math.PI;
+        return { y: -Math.abs(Math.sin(phase)) * 3, rotation: Math.sin(phase) * 0.06 };
+    },
+    float: time => ({ y: Math.sin(time * 3) * 3, rotation: Math.sin(time * 1.5) * 0.05 }),
+    pounce: (time, clip) => {
+        const stretch = Math.sin(Math.min(1, time / clip.duration) * Math.PI) * 0.25;
+        return { scaleX: 1 + stretch, scaleY: 1 - stretch };
+    }
+};
 
-// Load sprite assets from asset directory
-ghostSprite.src = 'asset/ghost.png';
-redGhostSprite.src = 'asset/red.png'; 
-catSprite.src = 'asset/neko.png';
-playerSprite.src = 'asset/player.png';
-grassSprite.src = 'asset/grass.jpg';
+const spriteImages = {};        // Sheet id -> loaded image (or placeholder)
+const images = {};              // IMAGE_ASSETS id -> loaded image (or placeholder)
+const animationPhases = new WeakMap(); // Entity -> clip time offset, so ghosts don't float in step
+const catCatchTimes = [];       // Player -> simulation time of their cat's last catch
 
-// ===== GAME TIMING CONSTANTS =====
+const loadingElement = document.getElementById('loading');
+const loadingFillElement = document.getElementById('loadingFill');
+const loadingTextElement = document.getElementById('loadingText');
 
 /**
- * Red ghost spawn timing
- * Red ghosts spawn every 7 seconds and are faster than regular ghosts
+ * Load one image, settling with a placeholder if it fails
+ * 
+ * @param {string} src - Image URL
+ * @param {number} width - Placeholder width
+ * @param {number} height - Placeholder height
+ * @returns {Promise<{image: CanvasImageSource, failed: boolean}>}
  */
-let lastRedGhostTime = 0;
-const RED_GHOST_INTERVAL = 7000; // 7 seconds in milliseconds
+function loadImage(src, width, height) {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => resolve({ image: image, failed: false });
+        image.onerror = () => resolve({ image: createPlaceholderImage(width, height), failed: true });
+        image.src = src;
+    });
+}
 
-// ===== WORLD DIMENSIONS & VIEWPORT =====
+/**
+ * Magenta checkerboard with a question mark, standing in for a missing image
+ * 
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement}
+ */
+function createPlaceholderImage(width, height) {
+    const placeholder = document.createElement('canvas');
+    placeholder.width = width;
+    placeholder.height = height;
+    const g = placeholder.getContext('2d');
+    const cell = Math.max(4, Math.floor(width / 4));
+    for (let y = 0; y < height; y += cell) {
+        for (let x = 0; x < width; x += cell) {
+            g.fillStyle = (x / cell + y / cell) % 2 === 0 ? '#ff00ff' : '#222222';
+            g.fillRect(x, y, cell, cell);
+        }
+    }
+    g.fillStyle = '#ffffff';
+    g.font = `bold ${Math.floor(height * 0.6)}px sans-serif`;
+    g.textAlign = 'center';
+    g.textBaseline = 'middle';
+    g.fillText('?', width / 2, height / 2);
+    return placeholder;
+}
 
 /**
- * World and viewport configuration
- * The game world is larger than the viewport, requiring camera following
+ * Load every sheet and image, showing progress on the start screen
+ * Starting anything waits for this, so nothing is ever drawn half-loaded;
+ * files that fail are reported and drawn as placeholders
+ * 
+ * @returns {Promise<void>}
  */
-const WORLD_WIDTH = 2400;     // Total world width in pixels
-const WORLD_HEIGHT = 2400;    // Total world height in pixels
-const CANVAS_WIDTH = 800;     // Viewport width
-const CANVAS_HEIGHT = 600;    // Viewport height
-const GRID_SIZE = 150;        // Grid cell size
+function preloadAssets() {
+    const jobs = [
+        ...Object.entries(SPRITE_SHEETS).map(([id, sheet]) =>
+            [sheet.src, sheet.frameWidth, sheet.frameHeight, image => { spriteImages[id] = image; }]),
+        ...Object.entries(IMAGE_ASSETS).map(([id, src]) =>
+            [src, 64, 64, image => { images[id] = image; }])
+    ];
+    const failed = [];
+    let loaded = 0;
+
+    setStartButtonsEnabled(false);
+    loadingElement.style.display = '';
+    loadingFillElement.style.width = '0%';
 
-// ===== ENEMY SPAWN LIMITS =====
+    return Promise.all(jobs.map(([src, width, height, store]) =>
+        loadImage(src, width, height).then(result => {
+            store(result.image);
+            if (result.failed) failed.push(src);
+            loaded++;
+            loadingFillElement.style.width = `${(loaded / jobs.length) * 100}%`;
+            loadingTextElement.textContent = `Loading... ${loaded}/${jobs.length}`;
+        })
+    )).then(() => {
+        setStartButtonsEnabled(true);
+        if (failed.length > 0) {
+            loadingTextElement.textContent = `Couldn't load ${failed.join(', ')} - shown as placeholders`;
+            loadingElement.classList.add('failed');
+        } else {
+            loadingElement.style.display = 'none';
+        }
+    });
+}
 
 /**
- * Maximum enemy counts to prevent performance issues
- * Balances difficulty with system performance
+ * Enable or disable everything on the start screen that starts a game
+ * 
+ * @param {boolean} enabled
  */
-const MAX_REGULAR_GHOSTS = 9;  // Maximum white ghosts on screen
-const MAX_RED_GHOSTS = 2;      // Maximum red ghosts on screen
+function setStartButtonsEnabled(enabled) {
+    for (let control of startScreenElement.querySelectorAll('button, input[type="file"]')) {
+        control.disabled = !enabled;
+    }
+}
 
-// ===== GAME STATE VARIABLES =====
+/**
+ * Clip time offset of an entity, picked at random the first time it is drawn
+ * 
+ * @param {Object} entity - Any drawn entity
+ * @returns {number} - Seconds
+ */
+function getAnimationPhase(entity) {
+    if (!animationPhases.has(entity)) {
+        animationPhases.set(entity, Math.random() * 10);
+    }
+    return animationPhases.get(entity);
+}
 
-let gameRunning = false;       // Main game loop control flag
-let score = 0;                 // Current game score
-let highScore = parseInt(localStorage.getItem('KuroNeko_HighScore')); // Best score
-let lives = 9;                 // Player lives remaining
-let camera = { x: 0, y: 0 };   // Camera position for world-to-screen translation
+/**
+ * Draw one frame of a sprite clip centered on a point
+ * The single place sprites are flipped: art is mirrored whenever the facing
+ * asked for differs from the way the sheet is drawn
+ * 
+ * @param {string} sheetId - Key into SPRITE_SHEETS
+ * @param {string} clipId - Clip of that sheet
+ * @param {number} time - Seconds into the clip
+ * @param {number} x - Screen X of the center
+ * @param {number} y - Screen Y of the center
+ * @param {number} size - Drawn width and height
+ * @param {boolean} [facingLeft] - Whether the entity faces left
+ */
+function drawSprite(sheetId, clipId, time, x, y, size, facingLeft = false) {
+    const sheet = SPRITE_SHEETS[sheetId];
+    const image = spriteImages[sheetId];
+    if (!image) return;
 
-// Initialize high score display
-highScoreElement.textContent = highScore;
+    const clip = sheet.clips[clipId];
+    const frameCount = Math.floor(time * clip.fps);
+    const frame = clip.frames[clip.duration
+        ? Math.min(frameCount, clip.frames.length - 1)
+        : frameCount % clip.frames.length];
+    const columns = Math.max(1, Math.floor(image.width / sheet.frameWidth));
+    const motion = clip.motion && !accessibility.reducedMotion ? CLIP_MOTIONS[clip.motion](time, clip) : {};
 
-// ===== GAME ENTITIES =====
+    ctx.save();
+    ctx.translate(x, y + (motion.y || 0));
+    if (facingLeft !== Boolean(sheet.facesLeft)) {
+        ctx.scale(-1, 1);
+    }
+    ctx.rotate(motion.rotation || 0);
+    ctx.scale(motion.scaleX || 1, motion.scaleY || 1);
+    ctx.drawImage(image,
+        (frame % columns) * sheet.frameWidth, Math.floor(frame / columns) * sheet.frameHeight,
+        sheet.frameWidth, sheet.frameHeight,
+        -size / 2, -size / 2, size, size);
+    ctx.restore();
+}
 
 /**
- * Cat entity - Player-controlled character
- * Responsible for catching ghosts to protect the owner
+ * Whether an entity moved during the last tick
+ * 
+ * @param {Object} entity - Cat, owner or enemy
+ * @returns {boolean}
  */
-let cat = {
-    x: WORLD_WIDTH / 2,        // World X position
-    y: WORLD_HEIGHT / 2,       // World Y position
-    radius: 15,                // Collision detection radius
-    speed: 3.5,                // Movement speed per frame
-    facingLeft: false          // Sprite orientation flag
-};
+function isMoving(entity) {
+    return entity.x !== entity.prevX || entity.y !== entity.prevY;
+}
+
+const assetsLoaded = preloadAssets(); // Settles once every asset is ready or replaced
+
+// ===== FRAME TIMING =====
 
 /**
- * Owner entity - AI-controlled character that moves randomly
- * The cat must protect this character from ghosts
+ * Frame loop timing
+ * Real time is fed to the core in fixed TICK_DURATION steps
  */
-let owner = {
-    x: WORLD_WIDTH / 2 + 100,  // World X position (offset from cat start)
-    y: WORLD_HEIGHT / 2 + 100, // World Y position
-    radius: 12,                // Collision detection radius
-    speed: 0.8,                // Movement speed per frame
-    direction: Math.random() * Math.PI * 2, // Current movement direction (radians)
-    changeDirectionTimer: 0,    // Timer for random direction changes
-    facingLeft: false          // Sprite orientation flag
-};
+const MAX_FRAME_TIME = 0.25;          // Longest frame fed to the simulation (seconds)
+
+let accumulator = 0;      // Unsimulated time carried between frames (seconds)
+let lastFrameTime = 0;    // Timestamp of the previous rendered frame (ms)
+let animationFrameId = null; // Pending requestAnimationFrame handle
+
+// ===== VIEWPORT =====
 
 /**
- * Dynamic game entity arrays
- * These are populated and managed during gameplay
+ * Viewport configuration
+ * The game world is larger than the viewport, requiring camera following
  */
-let enemies = [];    // Array of ghost enemies
-let obstacles = [];  // Array of static world obstacles
+const CANVAS_WIDTH = 800;     // Viewport width
+const CANVAS_HEIGHT = 600;    // Viewport height
+const GRID_SIZE = 150;        // Grid cell size
 
-// ===== INPUT HANDLING =====
+// ===== AUDIO SETTINGS =====
 
 /**
- * Keyboard input state tracking
- * Supports both WASD and arrow key controls
+ * Sound effect definitions
+ * Every effect is synthesized from a few notes, so the game ships no audio
+ * files. A note is an oscillator `wave` gliding from `from` to `to` Hz over
+ * `duration` seconds, starting `delay` seconds into the effect; `noise` notes
+ * play white noise through a low-pass filter at `filter` Hz instead
  */
-const keys = {};
+const SOUND_EFFECTS = {
+    catch: [
+        { wave: 'square', from: 660, to: 1320, duration: 0.09, gain: 0.2 },
+        { wave: 'triangle', from: 1320, to: 1760, duration: 0.1, gain: 0.2, delay: 0.06 }
+    ],
+    redSpawn: [
+        { wave: 'sawtooth', from: 180, to: 90, duration: 0.5, gain: 0.15 },
+        { wave: 'sawtooth', from: 187, to: 94, duration: 0.5, gain: 0.15 }
+    ],
+    ownerHit: [
+        { noise: true, filter: 900, duration: 0.25, gain: 0.5 },
+        { wave: 'triangle', from: 220, to: 50, duration: 0.35, gain: 0.6 }
+    ],
+    gameOver: [
+        { wave: 'triangle', from: 392, to: 392, duration: 0.3, gain: 0.4 },
+        { wave: 'triangle', from: 330, to: 330, duration: 0.3, gain: 0.4, delay: 0.3 },
+        { wave: 'triangle', from: 262, to: 262, duration: 0.3, gain: 0.4, delay: 0.6 },
+        { wave: 'triangle', from: 196, to: 185, duration: 0.9, gain: 0.4, delay: 0.9 }
+    ],
+    highScore: [
+        { wave: 'square', from: 523, to: 523, duration: 0.12, gain: 0.15 },
+        { wave: 'square', from: 659, to: 659, duration: 0.12, gain: 0.15, delay: 0.1 },
+        { wave: 'square', from: 784, to: 784, duration: 0.12, gain: 0.15, delay: 0.2 },
+        { wave: 'square', from: 1047, to: 1047, duration: 0.35, gain: 0.15, delay: 0.3 }
+    ],
+    achievement: [
+        { wave: 'triangle', from: 784, to: 784, duration: 0.1, gain: 0.2 },
+        { wave: 'triangle', from: 1175, to: 1568, duration: 0.3, gain: 0.2, delay: 0.08 }
+    ]
+};
 
-// Keydown event - mark keys as pressed
-document.addEventListener('keydown', (e) => {
-    keys[e.key.toLowerCase()] = true;  // Support letter keys
-    keys[e.code] = true;               // Support special keys (arrows)
-});
+/**
+ * Adaptive music
+ * A drone always plays during a run; a bassline and then an arpeggio fade in
+ * and the tempo rises as ghosts close in on the owner
+ */
+const MUSIC_CONFIG = {
+    root: 55,                          // Hz of the drone and bassline root (A1)
+    bassline: [0, 0, 3, 0, 7, 0, 5, 3], // Semitones above the root, one per beat
+    arpeggio: [12, 15, 19, 24, 19, 15], // Semitones above the root, one per eighth note
+    tempo: [84, 150],                  // Beats per minute from calm to full tension
+    bassTension: 0.1,                  // Tension at which the bassline starts fading in
+    arpeggioTension: 0.5,              // Tension at which the arpeggio starts fading in
+    tensionRadius: 350,                // Ghosts closer than this to the owner add tension
+    tensionGhosts: 6,                  // Ghosts inside the radius for full tension
+    tensionSmoothing: 1.5,             // Seconds for the music to catch up with the tension
+    lookahead: 0.2                     // Seconds of notes scheduled ahead of playback
+};
 
-// Keyup event - mark keys as released
-document.addEventListener('keyup', (e) => {
-    keys[e.key.toLowerCase()] = false;
-    keys[e.code] = false;
-});
+const AUDIO_SETTINGS_KEY = 'KuroNeko_AudioSettings';
+const DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8 };
 
-// ===== WORLD GENERATION =====
+// ===== VISUAL EFFECTS =====
 
 /**
- * Generate random obstacles throughout the world
- * Creates visual and gameplay variety while providing navigation challenges
+ * Particle and game-feel tuning
+ * Effects are purely cosmetic: they use Math.random rather than the run's
+ * seeded generator, so turning them on or off never changes a run
  */
-function createObstacles() {
-    obstacles = [];
-    
-    // Generate 20 random rectangular obstacles
-    for (let i = 0; i < 20; i++) {
-        obstacles.push({
-            x: Math.random() * (WORLD_WIDTH - 100),   // Random X position
-            y: Math.random() * (WORLD_HEIGHT - 100),  // Random Y position
-            width: 40 + Math.random() * 60,           // Random width (40-100px)
-            height: 40 + Math.random() * 60           // Random height (40-100px)
-        });
-    }
-}
+const EFFECTS_CONFIG = {
+    maxParticles: 400,             // Pool size; the oldest particle is reused when full
+    catchPuff: { count: 14, speed: [60, 170], life: [0.3, 0.6], size: [2, 5], color: '#ffffff' },
+    dissolve: { count: 10, speed: [10, 40], life: [0.6, 1.1], size: [4, 8], rise: 60 },
+    trail: { rate: 10, life: [0.4, 0.7], size: [3, 6] },   // Wisps per second per ghost
+    hitPuff: { count: 20, speed: [80, 220], life: [0.3, 0.7], size: [2, 6], color: '#ff6b6b' },
+    popup: { life: 0.9, rise: 50, color: '#ffd166', bonusColor: '#7bed9f' },
+    flashTime: 0.35,               // Seconds the red hit flash takes to fade
+    shakeDecay: 1.8,               // Shake trauma lost per second
+    shakeOffset: 14,               // Screen pixels of offset at full trauma
+    ownerHitTrauma: 0.8,
+    glowBlur: 15
+};
+
+const EFFECTS_SETTINGS_KEY = 'KuroNeko_EffectsSettings';
+const DEFAULT_EFFECTS_SETTINGS = {
+    particles: true,               // Catch puffs, dissolves and ghost trails
+    shake: true,                   // Screen shake and hit flash
+    popups: true,                  // Floating score numbers
+    glow: true                     // Glow around ghosts
+};
 
-// ===== COLLISION DETECTION SYSTEM =====
+// ===== MINIMAP & INDICATORS =====
 
 /**
- * Circle-to-circle collision detection
- * Used for entity interactions (cat vs ghost, ghost vs owner)
- * 
- * @param {Object} obj1 - First circular object with x, y, radius
- * @param {Object} obj2 - Second circular object with x, y, radius
- * @returns {boolean} - True if objects are colliding
+ * Minimap in the top-right corner and arrows at the screen edge pointing at
+ * ghosts outside the view. Arrows grow and brighten as their ghost nears the owner
  */
-function circleCollision(obj1, obj2) {
-    const dx = obj1.x - obj2.x;
-    const dy = obj1.y - obj2.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-    return distance < obj1.radius + obj2.radius;
-}
+const MINIMAP_CONFIG = {
+    size: 150,                     // Screen pixels along the minimap's longer side
+    margin: 10,                    // Gap to the canvas corner
+    dotRadius: 2.5,                // Ghost dot size (highlighted ghosts are drawn larger)
+    background: 'rgba(10, 10, 10, 0.75)',
+    obstacleColor: 'rgba(150, 150, 150, 0.6)'
+};
+
+const INDICATOR_CONFIG = {
+    inset: 18,                     // Distance of the arrows from the screen edge
+    size: [6, 16],                 // Arrow half-length when far from / close to the owner
+    alpha: [0.35, 0.95],
+    range: [150, 900]              // Ghost-owner distances mapped onto size and alpha
+};
+
+// ===== SAVE DATA =====
 
 /**
- * Circle-to-rectangle collision detection
- * Used for entity vs obstacle collision detection
- * 
- * @param {Object} circle - Circular object with x, y, radius
- * @param {Object} rect - Rectangular object with x, y, width, height
- * @returns {boolean} - True if circle intersects rectangle
+ * Versioned save schema
+ * Everything the game remembers about past runs lives in one localStorage
+ * entry. Older saves are upgraded one version at a time by SAVE_MIGRATIONS,
+ * so records survive schema changes
  */
-function circleRectCollision(circle, rect) {
-    // Find the closest point on the rectangle to the circle center
-    const closestX = Math.max(rect.x, Math.min(circle.x, rect.x + rect.width));
-    const closestY = Math.max(rect.y, Math.min(circle.y, rect.y + rect.height));
-    
-    // Calculate distance from circle center to closest point
-    const dx = circle.x - closestX;
-    const dy = circle.y - closestY;
-    
-    // Check if distance is less than circle radius
-    return (dx * dx + dy * dy) < (circle.radius * circle.radius);
-}
+const SAVE_KEY = 'KuroNeko_Save';
+const SAVE_FORMAT = 'kuroneko-save';
+const SAVE_VERSION = 2;
+const LEGACY_HIGH_SCORE_KEY = 'KuroNeko_HighScore'; // Bare high score kept before saves were versioned
+const LEADERBOARD_SIZE = 10;
+const MAX_PLAYER_NAME_LENGTH = 16;
+const DEFAULT_PLAYER_NAME = 'Player';
+
+/**
+ * Game modes, each with its own high score
+ */
+const GAME_MODES = {
+    solo: { label: 'Solo', night: 'nightSolo' },
+    coop: { label: 'Co-op', night: 'nightCoop' },
+    horde: { label: 'Horde', night: 'nightHorde' },
+    hordeCoop: { label: 'Horde co-op', night: 'nightHordeCoop' },
+    nightSolo: { label: 'Night solo' },
+    nightCoop: { label: 'Night co-op' },
+    nightHorde: { label: 'Night horde' },
+    nightHordeCoop: { label: 'Night horde co-op' }
+};
+
+/**
+ * Upgrade steps, indexed by the version they upgrade from
+ * Version 0 is the bare high score integer
+ */
+const SAVE_MIGRATIONS = [
+    legacy => ({
+        version: 1,
+        playerName: DEFAULT_PLAYER_NAME,
+        highScores: { solo: legacy.highScore },
+        leaderboard: [],
+        stats: createEmptyStats()
+    }),
+    save => ({ ...save, version: 2, achievements: {} })
+];
 
 /**
- * Validate if an entity can move to a specific position
- * Checks against obstacles and world boundaries
+ * Lifetime statistics of a fresh save
  * 
- * @param {Object} obj - Entity object with radius property
- * @param {number} newX - Proposed X position
- * @param {number} newY - Proposed Y position
- * @returns {boolean} - True if position is valid
+ * @returns {Object} - Zeroed statistics
  */
-function isValidPosition(obj, newX, newY) {
-    // Create temporary object at new position for testing
-    const tempObj = { ...obj, x: newX, y: newY };
-    
-    // Check collision with all obstacles
-    for (let obstacle of obstacles) {
-        if (circleRectCollision(tempObj, obstacle)) {
-            return false;
-        }
-    }
-    
-    // Check world boundaries (keep entity fully inside world)
-    return newX >= obj.radius && newX <= WORLD_WIDTH - obj.radius && 
-           newY >= obj.radius && newY <= WORLD_HEIGHT - obj.radius;
+function createEmptyStats() {
+    return {
+        runs: 0,
+        ghostsCaught: {},          // Enemy type -> catches
+        livesLost: 0,
+        playTime: 0,               // Seconds across all runs
+        longestSurvival: 0         // Seconds
+    };
 }
 
-// ===== ENTITY UPDATE FUNCTIONS =====
+let saveResetReason = null; // Why an unreadable save was replaced on load, shown on the stats screen
 
 /**
- * Update cat position based on player input
- * Handles WASD and arrow key movement with collision detection
+ * Read the save from localStorage, upgrading it to the current version
+ * Without a save, the legacy high score entry is migrated and removed
+ * 
+ * @returns {Object} - Save data
  */
-function updateCat() {
-    let newX = cat.x;
-    let newY = cat.y;
-
-    // Process input and calculate new position
-    if (keys['w'] || keys['ArrowUp']) newY -= cat.speed;
-    if (keys['s'] || keys['ArrowDown']) newY += cat.speed;
-    if (keys['a'] || keys['ArrowLeft']) {
-        newX -= cat.speed;
-        cat.facingLeft = true;  // Update sprite orientation
+function loadSaveData() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(SAVE_KEY));
+    } catch (error) {
+        saveResetReason = 'The save is not valid JSON.';
+        data = null;
     }
-    if (keys['d'] || keys['ArrowRight']) {
-        newX += cat.speed;
-        cat.facingLeft = false; // Update sprite orientation
+    if (!data) {
+        data = { version: 0, highScore: parseInt(localStorage.getItem(LEGACY_HIGH_SCORE_KEY)) || 0 };
     }
 
-    // Apply movement only if new position is valid
-    // Check X and Y movement separately to allow sliding along walls
-    if (isValidPosition(cat, newX, cat.y)) {
-        cat.x = newX;
-    }
-    if (isValidPosition(cat, cat.x, newY)) {
-        cat.y = newY;
+    try {
+        data = parseSaveData(data);
+    } catch (error) {
+        saveResetReason = error.message;
+        data = parseSaveData({ version: 0, highScore: 0 });
     }
+    localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+    localStorage.removeItem(LEGACY_HIGH_SCORE_KEY);
+    return data;
 }
 
 /**
- * Update owner AI movement
- * Implements random wandering behavior with direction changes
+ * Upgrade and validate save data from storage or an imported file
+ * Invalid leaderboard entries and counters are dropped rather than trusted
+ * 
+ * @param {Object} data - Save data of any version
+ * @returns {Object} - Save data at SAVE_VERSION
+ * @throws {Error} - If the data can't be used as a save
  */
-function updateOwner() {
-    owner.changeDirectionTimer++;
-    
-    // Change direction randomly every 2-6 seconds (120-360 frames at 60fps)
-    if (owner.changeDirectionTimer > 120 + Math.random() * 240) {
-        owner.direction = Math.random() * Math.PI * 2;
-        owner.changeDirectionTimer = 0;
+function parseSaveData(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Save data must be a JSON object.');
+    }
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than this game supports.`);
+    }
+    while (version < SAVE_VERSION) {
+        data = SAVE_MIGRATIONS[version](data);
+        version = data.version;
     }
 
-    // Calculate movement vector from current direction
-    const moveX = Math.cos(owner.direction) * owner.speed;
-    const newX = owner.x + moveX;
-    const newY = owner.y + Math.sin(owner.direction) * owner.speed;
+    const count = value => (Number.isFinite(value) && value > 0 ? value : 0);
+    const stats = createEmptyStats();
+    const savedStats = data.stats || {};
+    for (let field of ['runs', 'livesLost', 'playTime', 'longestSurvival']) {
+        stats[field] = count(savedStats[field]);
+    }
+    for (let type in savedStats.ghostsCaught || {}) {
+        stats.ghostsCaught[type] = count(savedStats.ghostsCaught[type]);
+    }
 
-    // Apply movement if position is valid, otherwise change direction
-    if (isValidPosition(owner, newX, newY)) {
-        owner.x = newX;
-        owner.y = newY;
-        
-        // Update sprite orientation based on movement direction
-        if (moveX !== 0) {
-            owner.facingLeft = moveX < 0;
+    const highScores = {};
+    for (let mode in data.highScores || {}) {
+        highScores[mode] = count(data.highScores[mode]);
+    }
+
+    // Achievement id -> unlock date; ids this version doesn't know are kept for newer ones
+    const achievements = {};
+    for (let id in data.achievements || {}) {
+        if (typeof data.achievements[id] === 'string') {
+            achievements[id] = data.achievements[id];
         }
-    } else {
-        // Hit obstacle or boundary, pick new random direction
-        owner.direction = Math.random() * Math.PI * 2;
-    }
-}
-
-// ===== ENEMY MANAGEMENT SYSTEM =====
-
-/**
- * Spawn new enemy ghost
- * Controls enemy population and spawn mechanics
- * 
- * @param {boolean} isRedGhost - Whether to spawn a red ghost (faster variant)
- */
-function spawnEnemy(isRedGhost = false) {
-    let shouldSpawn = false;
-    
-    // Count current enemy types to enforce limits
-    const regularGhostCount = enemies.filter(enemy => !enemy.isRed).length;
-    const redGhostCount = enemies.filter(enemy => enemy.isRed).length;
-    
-    // Determine if we should spawn based on type and current count
-    if (isRedGhost) {
-        if (redGhostCount < MAX_RED_GHOSTS) {
-            shouldSpawn = true;
-        }
-    } else if (Math.random() < 0.02) { // 2% chance per frame for regular ghosts
-        if (regularGhostCount < MAX_REGULAR_GHOSTS) {
-            shouldSpawn = true;
-        }
-    }
-    
-    if (shouldSpawn) {
-        // Choose random edge of world for spawn location
-        const side = Math.floor(Math.random() * 4);
-        let x, y;
-
-        switch (side) {
-            case 0: // Top edge
-                x = Math.random() * WORLD_WIDTH;
-                y = 0;
-                break;
-            case 1: // Right edge
-                x = WORLD_WIDTH;
-                y = Math.random() * WORLD_HEIGHT;
-                break;
-            case 2: // Bottom edge
-                x = Math.random() * WORLD_WIDTH;
-                y = WORLD_HEIGHT;
-                break;
-            case 3: // Left edge
-                x = 0;
-                y = Math.random() * WORLD_HEIGHT;
-                break;
-        }
-
-        // Create enemy with randomized speed
-        const baseSpeed = 1.2 + Math.random() * 0.8;
-        enemies.push({
-            x: x,
-            y: y,
-            radius: 10,
-            speed: isRedGhost ? baseSpeed * 1.5 : baseSpeed, // Red ghosts are 50% faster
-            facingRight: false,
-            isRed: isRedGhost
-        });
     }
+
+    const leaderboard = (Array.isArray(data.leaderboard) ? data.leaderboard : [])
+        .filter(entry => entry && Number.isFinite(entry.score) && typeof entry.date === 'string')
+        .map(entry => ({
+            name: sanitizePlayerName(entry.name),
+            score: entry.score,
+            date: entry.date,
+            duration: count(entry.duration),
+            mode: entry.mode in GAME_MODES ? entry.mode : 'solo',
+            wave: count(entry.wave),
+            speed: entry.speed > 0 && entry.speed < 1 ? entry.speed : 1
+        }));
+
+    return {
+        version: SAVE_VERSION,
+        playerName: sanitizePlayerName(data.playerName),
+        highScores: highScores,
+        leaderboard: sortLeaderboard(leaderboard),
+        stats: stats,
+        achievements: achievements
+    };
 }
 
 /**
- * Remove enemies that are too far from the action
- * Prevents memory leaks and improves performance
+ * Trim a player name to something safe to store and show
+ * 
+ * @param {*} name - Name as typed or loaded
+ * @returns {string} - Cleaned name, or the default name
  */
-function cleanupDistantEnemies() {
-    const MAX_DISTANCE = WORLD_WIDTH * 0.8; // 80% of world width
-    
-    // Iterate backwards to safely remove elements during iteration
-    for (let i = enemies.length - 1; i >= 0; i--) {
-        const enemy = enemies[i];
-        const dx = owner.x - enemy.x;
-        const dy = owner.y - enemy.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Remove if too far from owner
-        if (distance > MAX_DISTANCE) {
-            enemies.splice(i, 1);
-        }
-    }
+function sanitizePlayerName(name) {
+    const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_PLAYER_NAME_LENGTH) : '';
+    return cleaned || DEFAULT_PLAYER_NAME;
 }
 
 /**
- * Update all enemy positions and handle collisions
- * Core gameplay logic for enemy behavior and interactions
+ * Order leaderboard entries best first and keep the top LEADERBOARD_SIZE
+ * Ties go to whoever got there first
+ * 
+ * @param {Object[]} entries - Leaderboard entries
+ * @returns {Object[]} - Sorted, trimmed entries
  */
-function updateEnemies() {
-    // Iterate backwards to safely remove enemies during loop
-    for (let i = enemies.length - 1; i >= 0; i--) {
-        const enemy = enemies[i];
-        
-        // Calculate direction vector toward owner
-        const dx = owner.x - enemy.x;
-        const dy = owner.y - enemy.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Move enemy toward owner if not already there
-        if (distance > 0) {
-            const moveX = (dx / distance) * enemy.speed;
-            enemy.x += moveX;
-            enemy.y += (dy / distance) * enemy.speed;
-            enemy.facingRight = moveX > 0; // Update sprite orientation
-        }
-
-        // Check collision with cat (player scores)
-        if (circleCollision(enemy, cat)) {
-            enemies.splice(i, 1);  // Remove enemy
-            score += 1;            // Increase score
-            scoreElement.textContent = score;
-            
-            // Update high score if necessary
-            if (score > highScore) {
-                highScore = score;
-                localStorage.setItem('KuroNeko_HighScore', highScore);
-                highScoreElement.textContent = highScore;
-            }
-            continue; // Skip to next enemy
-        }
-        
-        // Check collision with owner (player loses life)
-        if (circleCollision(enemy, owner)) {
-            enemies.splice(i, 1);  // Remove enemy
-            lives--;               // Decrease lives
-            livesElement.textContent = lives;
-            
-            // Check for game over condition
-            if (lives <= 0) {
-                gameRunning = false;
-                gameOverElement.style.display = 'block';
-                finalScoreElement.textContent = score;
-            }
-            continue; // Skip to next enemy
-        }
+function sortLeaderboard(entries) {
+    return entries
+        .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+        .slice(0, LEADERBOARD_SIZE);
+}
 
-        // Remove enemies that have moved too far from the world
-        if (distance > WORLD_WIDTH) {
-            enemies.splice(i, 1);
-        }
-    }
+/**
+ * Persist the save in localStorage
+ */
+function writeSaveData() {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
 }
 
-// ===== CAMERA SYSTEM =====
+// ===== GAME STATE VARIABLES =====
+
+let saveData = loadSaveData(); // High scores, leaderboard and lifetime stats
+let runMode = 'solo';          // Key into GAME_MODES for the current run
+let runSpeed = 1;              // Slowest game speed the current live run was played at
+let runEnded = false;          // True once endRun() has handled the current run's game over
+let camera = {                 // Camera for world-to-screen translation
+    x: 0,                      // World position of the view's top-left corner
+    y: 0,
+    zoom: 1,                   // Screen pixels per world pixel
+    viewWidth: CANVAS_WIDTH,   // World pixels visible across the canvas
+    viewHeight: CANVAS_HEIGHT,
+    centerX: 0,                // Eased world position of the view's center
+    centerY: 0,
+    targetZoom: 1,             // Eased zoom, before any editor override
+    lastUpdate: 0,             // Timestamp of the last camera update (ms)
+    snap: true                 // Jump straight to the target on the next update
+};
+
+// Initialize high score display
+highScoreElement.textContent = saveData.highScores.solo || 0;
+
+// ===== PLAYERS =====
 
 /**
- * Update camera position to follow the owner
- * Implements smooth camera following with world boundary constraints
+ * Per-player cat appearance
+ * `filter` tints the (black) cat sprite so co-op players can tell their
+ * cats apart; `color` marks the player in the HUD and on the canvas
  */
-function updateCamera() {
-    // Center camera on owner
-    camera.x = owner.x - CANVAS_WIDTH / 2;
-    camera.y = owner.y - CANVAS_HEIGHT / 2;
+const CAT_PLAYERS = [
+    { label: 'P1', filter: 'none', color: '#4ecdc4' },
+    { label: 'P2', filter: 'invert(0.65) sepia(1) saturate(5) hue-rotate(-15deg)', color: '#ffa94d' }
+];
 
-    // Clamp camera to world boundaries
-    camera.x = Math.max(0, Math.min(camera.x, WORLD_WIDTH - CANVAS_WIDTH));
-    camera.y = Math.max(0, Math.min(camera.y, WORLD_HEIGHT - CANVAS_HEIGHT));
-}
-
-// ===== RENDERING SYSTEM =====
+// ===== INPUT HANDLING =====
 
 /**
- * Draw background grid for visual reference
- * Provides spatial awareness and visual appeal
+ * Input action layer
+ * The keyboard, gamepads and the touch joystick all drive the same actions.
+ * Keys are bound by `KeyboardEvent.code`, so bindings follow physical key
+ * positions on any keyboard layout. Each player has their own bindings; in
+ * co-op a key bound for player two is ignored for player one
  */
-function drawGrid() {
-    if (grassSprite && grassSprite.complete) {
-        // Calculate starting tile position
-        const startX = Math.floor(camera.x / GRID_SIZE) * GRID_SIZE;
-        const startY = Math.floor(camera.y / GRID_SIZE) * GRID_SIZE;
-        
-        // Calculate visible area with one extra tile for smooth scrolling
-        const endX = startX + CANVAS_WIDTH + GRID_SIZE;
-        const endY = startY + CANVAS_HEIGHT + GRID_SIZE;
-        
-        // Draw grass tiles
-        for (let y = startY; y < endY; y += GRID_SIZE) {
-            for (let x = startX; x < endX; x += GRID_SIZE) {
-                ctx.drawImage(
-                    grassSprite,
-                    x - camera.x,
-                    y - camera.y,
-                    GRID_SIZE,
-                    GRID_SIZE
-                );
-            }
-        }
+const INPUT_ACTIONS = {
+    up: 'Move Up',
+    down: 'Move Down',
+    left: 'Move Left',
+    right: 'Move Right',
+    pounce: 'Pounce',
+    hiss: 'Hiss'
+};
+const DEFAULT_KEY_BINDINGS = [
+    {
+        up: ['KeyW', 'ArrowUp'],
+        down: ['KeyS', 'ArrowDown'],
+        left: ['KeyA', 'ArrowLeft'],
+        right: ['KeyD', 'ArrowRight'],
+        pounce: ['Space', null],
+        hiss: ['KeyE', null]
+    },
+    {
+        up: ['ArrowUp', 'KeyI'],
+        down: ['ArrowDown', 'KeyK'],
+        left: ['ArrowLeft', 'KeyJ'],
+        right: ['ArrowRight', 'KeyL'],
+        pounce: ['Enter', 'KeyU'],
+        hiss: ['ShiftRight', 'KeyO']
     }
-}
+];
+const KEY_BINDINGS_KEY = 'KuroNeko_KeyBindings';
 
 /**
- * Main rendering function
- * Draws all game elements in proper layered order
+ * Gamepad mapping (standard layout)
+ * Left stick or d-pad moves; A/RB pounce; B/X/LB hiss. Solo play reads every
+ * pad; in co-op a single pad belongs to player two, otherwise pad N to player N
  */
-function draw() {
-    // Clear canvas with dark background
-    ctx.fillStyle = '#0a0a0a';
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-
-    // Draw background grid
-    drawGrid();
+const GAMEPAD_CONFIG = {
+    deadzone: 0.2,                              // Stick travel ignored around the center
+    dpad: { up: 12, down: 13, left: 14, right: 15 },
+    buttons: { pounce: [0, 5], hiss: [1, 2, 4] }
+};
 
-    // Draw obstacles (behind entities)
-    ctx.fillStyle = '#444';
-    for (let obstacle of obstacles) {
-        // Convert world coordinates to screen coordinates
-        const screenX = obstacle.x - camera.x;
-        const screenY = obstacle.y - camera.y;
-        
-        // Only draw if obstacle is visible on screen (performance optimization)
-        if (screenX + obstacle.width >= 0 && screenX <= CANVAS_WIDTH &&
-            screenY + obstacle.height >= 0 && screenY <= CANVAS_HEIGHT) {
-            ctx.fillRect(screenX, screenY, obstacle.width, obstacle.height);
-        }
-    }
+const TOUCH_JOYSTICK_RADIUS = 50;   // Knob travel of the on-screen joystick (pixels)
 
-    // Draw enemies
-    for (let enemy of enemies) {
-        // Convert world coordinates to screen coordinates
-        const screenX = enemy.x - camera.x;
-        const screenY = enemy.y - camera.y;
-        
-        // Only draw if enemy is visible on screen
-        if (screenX >= -enemy.radius && screenX <= CANVAS_WIDTH + enemy.radius &&
-            screenY >= -enemy.radius && screenY <= CANVAS_HEIGHT + enemy.radius) {
-            
-            // Choose appropriate sprite based on enemy type
-            const currentSprite = enemy.isRed ? redGhostSprite : ghostSprite;
-            
-            // Draw sprite if loaded
-            if (currentSprite && currentSprite.complete) {
-                const spriteSize = enemy.radius * 3;
-                ctx.save();
+const keys = {};                          // Held keys by key name and by code
+let keyBindings = loadKeyBindings();      // Per player, action -> [primary, secondary] key codes
+let touchMove = { x: 0, y: 0 };           // On-screen joystick vector
+const touchButtons = { pounce: false, hiss: false };
 
-                // Handle sprite flipping for direction
-                if (!enemy.facingRight) {
-                    // Normal orientation
-                    ctx.drawImage(currentSprite,
-                        screenX - spriteSize/2,
-                        screenY - spriteSize/2,
-                        spriteSize,
-                        spriteSize
-                    );
-                } else {
-                    // Flipped horizontally
-                    ctx.scale(-1, 1);
-                    ctx.drawImage(currentSprite,
-                        -screenX - spriteSize/2,
-                        screenY - spriteSize/2,
-                        spriteSize,
-                        spriteSize
-                    );
-                }
-                ctx.restore();
-            }
-            
-            // Add subtle glow effect (optional visual enhancement)
-            ctx.shadowColor = '#ffffff44';
-            ctx.shadowBlur = 15;
-            ctx.shadowBlur = 0; // Reset shadow for next draws
-        }
+/**
+ * Load saved key bindings, falling back to the defaults for anything missing
+ * Bindings saved before co-op existed hold player one's keys only
+ * 
+ * @returns {Object[]} - Per player, action -> [primary, secondary] key codes
+ */
+function loadKeyBindings() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)) || [];
+    } catch (error) {
+        saved = [];
     }
-
-    // Draw owner (player character)
-    const ownerScreenX = owner.x - camera.x;
-    const ownerScreenY = owner.y - camera.y;
-    if (playerSprite && playerSprite.complete) {
-        const spriteSize = owner.radius * 8; // Larger sprite for visibility
-        ctx.save();
-        
-        // Handle sprite orientation
-        if (owner.facingLeft) {
-            ctx.scale(-1, 1);
-            ctx.drawImage(playerSprite,
-                -ownerScreenX - spriteSize/2,
-                ownerScreenY - spriteSize/2,
-                spriteSize,
-                spriteSize
-            );
-        } else {
-            ctx.drawImage(playerSprite,
-                ownerScreenX - spriteSize/2,
-                ownerScreenY - spriteSize/2,
-                spriteSize,
-                spriteSize
-            );
-        }
-        ctx.restore();
+    if (!Array.isArray(saved)) {
+        saved = [saved];
     }
 
-    // Draw cat (on top of everything else for visibility)
-    const catScreenX = cat.x - camera.x;
-    const catScreenY = cat.y - camera.y;
-    if (catSprite && catSprite.complete) {
-        const spriteSize = cat.radius * 3;
-        ctx.save();
-        
-        // Handle sprite orientation
-        if (cat.facingLeft) {
-            ctx.scale(-1, 1);
-            ctx.drawImage(catSprite, 
-                -catScreenX - spriteSize/2, 
-                catScreenY - spriteSize/2,
-                spriteSize,
-                spriteSize
-            );
-        } else {
-            ctx.drawImage(catSprite, 
-                catScreenX - spriteSize/2, 
-                catScreenY - spriteSize/2,
-                spriteSize,
-                spriteSize
-            );
+    return DEFAULT_KEY_BINDINGS.map((defaults, player) => {
+        const bindings = {};
+        const playerSaved = saved[player] || {};
+        for (let action in defaults) {
+            const slots = Array.isArray(playerSaved[action]) ? playerSaved[action] : defaults[action];
+            bindings[action] = [slots[0] || null, slots[1] || null];
         }
-        ctx.restore();
-    }
+        return bindings;
+    });
 }
 
-// ===== MAIN GAME LOOP =====
-
 /**
- * Main game loop using requestAnimationFrame for smooth 60fps gameplay
- * Handles all game updates and rendering in proper order
+ * Persist the current key bindings
  */
-function gameLoop() {
-    if (!gameRunning) return; // Exit if game is not running
-
-    const currentTime = Date.now();
-    
-    // Handle red ghost spawning on timer
-    if (currentTime - lastRedGhostTime >= RED_GHOST_INTERVAL) {
-        spawnEnemy(true); // Spawn red ghost
-        lastRedGhostTime = currentTime;
-    }
-
-    // Update all game systems in order
-    updateCat();              // Process player input
-    updateOwner();            // Update AI movement
-    spawnEnemy(false);        // Attempt to spawn regular enemies
-    updateEnemies();          // Update enemy positions and collisions
-    cleanupDistantEnemies();  // Remove far-away enemies
-    updateCamera();           // Follow owner with camera
-    draw();                   // Render everything
-
-    // Schedule next frame
-    requestAnimationFrame(gameLoop);
+function saveKeyBindings() {
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(keyBindings));
 }
 
-// ===== GAME STATE MANAGEMENT =====
+/**
+ * Whether any key a player has bound to an action is held
+ * 
+ * @param {number} player - Player index
+ * @param {string} action - Key into INPUT_ACTIONS
+ * @returns {boolean}
+ */
+function isActionHeld(player, action) {
+    return keyBindings[player][action].some(code =>
+        code && keys[code] && !(player === 0 && playerCount > 1 && isBoundKey(code, 1)));
+}
 
 /**
- * Restart game with fresh state
- * Resets all game variables and starts new game loop
+ * Whether a key code is bound to any action
+ * 
+ * @param {string} code - KeyboardEvent.code
+ * @param {number} [player] - Only check this player's bindings
+ * @returns {boolean}
  */
-function restartGame() {
-    gameRunning = true;
-    score = 0;
-    lives = 9;                    // Note: Different from initial lives (5)
-    enemies = [];
-    lastRedGhostTime = Date.now(); 
-    
-    // Hide UI screens
-    startScreenElement.style.display = 'none';
-    
-    // Update UI displays
-    scoreElement.textContent = score;
-    highScoreElement.textContent = highScore;
-    
-    // Reset entity positions to center
-    cat.x = WORLD_WIDTH / 2;
-    cat.y = WORLD_HEIGHT / 2;
-    owner.x = WORLD_WIDTH / 2 + 100;
-    owner.y = WORLD_HEIGHT / 2 + 100;
-    owner.direction = Math.random() * Math.PI * 2;
-    owner.changeDirectionTimer = 0;
+function isBoundKey(code, player) {
+    const players = player === undefined ? keyBindings : [keyBindings[player]];
+    return players.some(bindings => Object.values(bindings).some(slots => slots.includes(code)));
+}
 
-    // Update UI elements
-    scoreElement.textContent = score;
-    livesElement.textContent = lives;
-    gameOverElement.style.display = 'none';
+// Keydown event - mark keys as pressed
+document.addEventListener('keydown', (e) => {
+    keys[e.key.toLowerCase()] = true;  // Support letter keys
+    keys[e.code] = true;               // Support special keys (arrows)
 
-    // Generate new world and start game loop
-    createObstacles();
-    gameLoop();
-}
+    // Bound keys shouldn't scroll the page or press a focused button mid-run
+    if (gameRunning && isBoundKey(e.code)) {
+        e.preventDefault();
+    }
+});
+
+// Keyup event - mark keys as released
+document.addEventListener('keyup', (e) => {
+    keys[e.key.toLowerCase()] = false;
+    keys[e.code] = false;
+});
 
 /**
- * Start new game from initial state
- * Used for first-time game start
+ * Read a stick with a radial deadzone, rescaled so movement starts from zero
+ * at the deadzone's edge
+ * 
+ * @param {number} x - Raw horizontal axis
+ * @param {number} y - Raw vertical axis
+ * @returns {Object} - { x, y }
  */
-function startGame() {
-    gameRunning = true;
-    lastRedGhostTime = Date.now(); 
-    startScreenElement.style.display = 'none';
-    createObstacles();
-    gameLoop();
+function applyDeadzone(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    if (length < GAMEPAD_CONFIG.deadzone) {
+        return { x: 0, y: 0 };
+    }
+    const scale = Math.min(1, (length - GAMEPAD_CONFIG.deadzone) / (1 - GAMEPAD_CONFIG.deadzone)) / length;
+    return { x: x * scale, y: y * scale };
 }
 
-// Initial draw call to render static world before game starts
-draw();
\ No newline at end of file
+/**
+ * List the connected gamepads that control a player
+ * 
+ * @param {number} player - Player index
+ * @returns {Gamepad[]}
+ */
+function getPlayerGamepads(player) {
+    if (!navigator.getGamepads) return [];
+    const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    if (playerCount === 1) {
+        return pads;
+    }
+    if (pads.length === 1) {
+        return player === 1 ? pads : [];
+    }
+    return pads[player] ? [pads[player]] : [];
+}
+
+/**
+ * Sample a player's input devices into their input for the next tick
+ * The touch controls always belong to player one
+ * 
+ * @param {number} [player] - Player index
+ * @returns {number} - Packed input
+ */
+function readInput(player = 0) {
+    const touch = player === 0;
+    let moveX = touch ? touchMove.x : 0;
+    let moveY = touch ? touchMove.y : 0;
+    let buttons = 0;
+
+    // Keyboard
+    if (isActionHeld(player, 'up')) moveY -= 1;
+    if (isActionHeld(player, 'down')) moveY += 1;
+    if (isActionHeld(player, 'left')) moveX -= 1;
+    if (isActionHeld(player, 'right')) moveX += 1;
+    if (isActionHeld(player, 'pounce') || (touch && touchButtons.pounce)) buttons |= INPUT_POUNCE;
+    if (isActionHeld(player, 'hiss') || (touch && touchButtons.hiss)) buttons |= INPUT_HISS;
+
+    // Gamepads
+    for (let pad of getPlayerGamepads(player)) {
+        const pressed = index => pad.buttons[index] && pad.buttons[index].pressed;
+        const stick = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+        moveX += stick.x;
+        moveY += stick.y;
+        if (pressed(GAMEPAD_CONFIG.dpad.up)) moveY -= 1;
+        if (pressed(GAMEPAD_CONFIG.dpad.down)) moveY += 1;
+        if (pressed(GAMEPAD_CONFIG.dpad.left)) moveX -= 1;
+        if (pressed(GAMEPAD_CONFIG.dpad.right)) moveX += 1;
+        if (GAMEPAD_CONFIG.buttons.pounce.some(pressed)) buttons |= INPUT_POUNCE;
+        if (GAMEPAD_CONFIG.buttons.hiss.some(pressed)) buttons |= INPUT_HISS;
+    }
+
+    moveX = Math.max(-1, Math.min(1, moveX));
+    moveY = Math.max(-1, Math.min(1, moveY));
+    return packInput(moveX, moveY, buttons);
+}
+
+/**
+ * On-screen touch controls
+ * Shown on touch devices during live play: a joystick on the left, ability
+ * buttons on the right
+ */
+const touchEnabled = navigator.maxTouchPoints > 0 || 'ontouchstart' in window;
+const touchControlsElement = document.getElementById('touchControls');
+const joystickElement = document.getElementById('joystick');
+const joystickKnobElement = document.getElementById('joystickKnob');
+
+/**
+ * Show the touch controls only while a live run is being played
+ */
+function updateTouchControls() {
+    const visible = touchEnabled && gameRunning && !replay && !paused;
+    touchControlsElement.style.display = visible ? 'flex' : 'none';
+    if (!visible) {
+        releaseJoystick();
+    }
+}
+
+/**
+ * Point the joystick at a touch position
+ * 
+ * @param {PointerEvent} event - Pointer event on the joystick
+ */
+function moveJoystick(event) {
+    const rect = joystickElement.getBoundingClientRect();
+    let dx = event.clientX - (rect.left + rect.width / 2);
+    let dy = event.clientY - (rect.top + rect.height / 2);
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > TOUCH_JOYSTICK_RADIUS) {
+        dx *= TOUCH_JOYSTICK_RADIUS / length;
+        dy *= TOUCH_JOYSTICK_RADIUS / length;
+    }
+    touchMove = { x: dx / TOUCH_JOYSTICK_RADIUS, y: dy / TOUCH_JOYSTICK_RADIUS };
+    joystickKnobElement.style.transform = `translate(${dx}px, ${dy}px)`;
+}
+
+/**
+ * Let go of the joystick and recenter it
+ */
+function releaseJoystick() {
+    touchMove = { x: 0, y: 0 };
+    joystickKnobElement.style.transform = '';
+}
+
+joystickElement.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    joystickElement.setPointerCapture(e.pointerId);
+    moveJoystick(e);
+});
+joystickElement.addEventListener('pointermove', (e) => {
+    if (joystickElement.hasPointerCapture(e.pointerId)) moveJoystick(e);
+});
+joystickElement.addEventListener('pointerup', releaseJoystick);
+joystickElement.addEventListener('pointercancel', releaseJoystick);
+
+// Ability buttons are held like keys
+for (let action of ['pounce', 'hiss']) {
+    const button = document.getElementById(action === 'pounce' ? 'touchPounce' : 'touchHiss');
+    button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        touchButtons[action] = true;
+    });
+    for (let type of ['pointerup', 'pointercancel', 'pointerleave']) {
+        button.addEventListener(type, () => {
+            touchButtons[action] = false;
+        });
+    }
+}
+
+// ===== HUD =====
+
+/**
+ * Copy the score, high score, lives and wave into the HUD
+ * Called once per rendered frame; only touches the DOM when a value changed
+ */
+function updateHud() {
+    const values = [
+        [scoreElement, score],
+        [highScoreElement, highScore],
+        [livesElement, lives],
+        [waveElement, wave.number]
+    ];
+    for (let [element, value] of values) {
+        if (element.textContent !== String(value)) {
+            element.textContent = value;
+        }
+    }
+    updatePlayerScores();
+}
+
+/**
+ * Show each player's score in co-op
+ */
+function updatePlayerScores() {
+    const coop = cats.length > 1;
+    const text = cats.map(cat => `${CAT_PLAYERS[cat.player].label}: ${cat.score}`).join(' • ');
+    playerScoresElement.style.display = coop ? '' : 'none';
+    finalPlayerScoresElement.style.display = coop ? '' : 'none';
+    if (playerScoresElement.textContent !== text) {
+        playerScoresElement.textContent = text;
+        finalPlayerScoresElement.textContent = text;
+    }
+}
+
+/**
+ * Reflect each cat's stamina and cooldowns in its HUD row
+ * Called once per rendered frame rather than every tick
+ */
+function updateAbilityHud() {
+    abilityHudRows.forEach((row, player) => {
+        const cat = cats[player];
+        row.container.style.display = cat ? '' : 'none';
+        if (!cat) return;
+
+        row.stamina.style.width = `${(cat.stamina / CAT_ABILITIES.maxStamina) * 100}%`;
+        row.pounce.classList.toggle('unavailable',
+            cat.pounceCooldown > 0 || cat.stamina < CAT_ABILITIES.pounce.cost);
+        row.hiss.classList.toggle('unavailable',
+            cat.hissCooldown > 0 || cat.stamina < CAT_ABILITIES.hiss.cost);
+    });
+}
+
+/**
+ * List active effects in the HUD
+ * Only touches the DOM when the displayed text changes
+ */
+function updatePowerupHud() {
+    const html = Object.keys(activeEffects).map(id => {
+        const type = POWERUP_TYPES[id];
+        const remaining = activeEffects[id] === null ? '' : ` ${Math.ceil(activeEffects[id])}s`;
+        return `<span class="effect" style="border-color: ${type.color}; color: ${type.color}">${type.icon} ${type.label}${remaining}</span>`;
+    }).join('');
+    if (effectsElement.innerHTML !== html) {
+        effectsElement.innerHTML = html;
+    }
+}
+
+/**
+ * Show the combo multiplier and how long until it drops
+ * Hidden while there is no combo going
+ */
+function updateComboHud() {
+    const active = scoring !== null && scoring.combo > 0;
+    comboElement.classList.toggle('inactive', !active);
+    if (!active) return;
+
+    const text = `x${scoring.multiplier} (${scoring.combo})`;
+    if (comboValueElement.textContent !== text) {
+        comboValueElement.textContent = text;
+    }
+    comboFillElement.style.width = `${Math.min(1, scoring.comboTimer / SCORING.combo.window) * 100}%`;
+}
+
+// Game over score breakdown rows, in display order (keys of runStats.points)
+const SCORE_SOURCES = {
+    catches: 'Catches',
+    closeCall: 'Close calls',
+    combo: 'Combo multiplier',
+    waves: 'Waves cleared',
+    survival: 'Survival',
+    noDamage: 'No-damage streaks'
+};
+
+/**
+ * Fill the game over screen's table of where the points came from
+ */
+function showScoreBreakdown() {
+    const rows = Object.entries(SCORE_SOURCES).map(([source, label]) =>
+        `<tr><td>${label}</td><td>+${runStats.points[source]}</td></tr>`);
+    rows.push(`<tr><td>Best combo</td><td>${runStats.bestCombo}</td></tr>`);
+    scoreBreakdownElement.innerHTML = rows.join('');
+}
+
+// ===== CUSTOM MAP STORAGE =====
+
+const CUSTOM_MAP_KEY = 'KuroNeko_CustomMap';
+
+let customMap = null;  // Map last saved from the editor, offered on the start screen
+
+/**
+ * Load the map saved from the editor, ignoring anything unreadable
+ * 
+ * @returns {Object|null} - Normalized map, or null
+ */
+function loadCustomMap() {
+    try {
+        const stored = localStorage.getItem(CUSTOM_MAP_KEY);
+        return stored ? parseMap(JSON.parse(stored)) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember a map as the custom map and offer it on the start screen
+ * 
+ * @param {Object} map - Normalized map
+ */
+function saveCustomMap(map) {
+    customMap = map;
+    localStorage.setItem(CUSTOM_MAP_KEY, JSON.stringify(serializeMap(map)));
+    customMapOptionElement.disabled = false;
+}
+
+// ===== CAMERA SYSTEM =====
+
+/**
+ * Camera framing
+ * The camera keeps the owner and every cat in view, easing towards them
+ * rather than snapping, and zooms out as they drift apart. If even the
+ * widest zoom can't fit everyone, the owner stays in view
+ */
+const CAMERA_CONFIG = {
+    margin: 120,     // Space kept around the framed entities (world pixels)
+    minZoom: 0.5,    // Furthest the camera zooms out
+    followRate: 5,   // How fast the camera catches up with its target (per second)
+    zoomRate: 2.5    // How fast the zoom catches up (per second)
+};
+
+// Zoom the camera settles at when everyone fits, picked under "Settings"
+const CAMERA_ZOOM_LEVELS = {
+    close: 1.25,
+    normal: 1,
+    wide: 0.8
+};
+
+const CAMERA_SETTINGS_KEY = 'KuroNeko_CameraSettings';
+const DEFAULT_CAMERA_SETTINGS = {
+    zoom: 'normal',    // Key into CAMERA_ZOOM_LEVELS
+    smoothing: true    // Ease the camera instead of locking it to its target
+};
+
+let cameraSettings = loadCameraSettings();
+
+/**
+ * Load the saved camera settings, falling back to the defaults for anything missing
+ * 
+ * @returns {Object} - Camera settings
+ */
+function loadCameraSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CAMERA_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    return {
+        zoom: saved.zoom in CAMERA_ZOOM_LEVELS ? saved.zoom : DEFAULT_CAMERA_SETTINGS.zoom,
+        smoothing: typeof saved.smoothing === 'boolean' ? saved.smoothing : DEFAULT_CAMERA_SETTINGS.smoothing
+    };
+}
+
+/**
+ * Change a camera setting and save it
+ * 
+ * @param {string} setting - Key into DEFAULT_CAMERA_SETTINGS
+ * @param {*} value - New value
+ */
+function setCameraSetting(setting, value) {
+    cameraSettings[setting] = value;
+    localStorage.setItem(CAMERA_SETTINGS_KEY, JSON.stringify(cameraSettings));
+}
+
+/**
+ * Make the next camera update jump straight to its target
+ * Used whenever the view would otherwise glide across a jump (new runs, seeks)
+ */
+function snapCamera() {
+    camera.snap = true;
+}
+
+/**
+ * Where the camera wants to be: centered on the owner and cats at the
+ * preferred zoom, or zoomed out as far as needed to fit them all
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ * @returns {{x: number, y: number, zoom: number}} - Target center (world) and zoom
+ */
+function getCameraTarget(alpha) {
+    const ownerPos = interpolatePosition(owner, alpha);
+    let minX = ownerPos.x, maxX = ownerPos.x;
+    let minY = ownerPos.y, maxY = ownerPos.y;
+    for (let cat of cats) {
+        const catPos = interpolatePosition(cat, alpha);
+        minX = Math.min(minX, catPos.x);
+        maxX = Math.max(maxX, catPos.x);
+        minY = Math.min(minY, catPos.y);
+        maxY = Math.max(maxY, catPos.y);
+    }
+
+    // Zoom out until the framed area fits, down to a limit
+    const margin = CAMERA_CONFIG.margin;
+    const fit = Math.min(CANVAS_WIDTH / (maxX - minX + margin * 2), CANVAS_HEIGHT / (maxY - minY + margin * 2));
+    const zoom = Math.max(CAMERA_CONFIG.minZoom, Math.min(CAMERA_ZOOM_LEVELS[cameraSettings.zoom], fit));
+
+    // When not everyone fits, slide the frame back until the owner is inside it
+    const reachX = Math.max(0, CANVAS_WIDTH / zoom / 2 - margin);
+    const reachY = Math.max(0, CANVAS_HEIGHT / zoom / 2 - margin);
+    return {
+        x: Math.max(ownerPos.x - reachX, Math.min(ownerPos.x + reachX, (minX + maxX) / 2)),
+        y: Math.max(ownerPos.y - reachY, Math.min(ownerPos.y + reachY, (minY + maxY) / 2)),
+        zoom: zoom
+    };
+}
+
+/**
+ * Ease the camera towards its target and keep it inside the world
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function updateCamera(alpha) {
+    const now = performance.now();
+    const dt = Math.min(MAX_FRAME_TIME, Math.max(0, (now - camera.lastUpdate) / 1000));
+    camera.lastUpdate = now;
+
+    const target = getCameraTarget(alpha);
+    if (camera.snap || !cameraSettings.smoothing) {
+        camera.centerX = target.x;
+        camera.centerY = target.y;
+        camera.targetZoom = target.zoom;
+        camera.snap = false;
+    } else {
+        // Exponential easing, so the feel doesn't depend on the frame rate
+        const follow = 1 - Math.exp(-CAMERA_CONFIG.followRate * dt);
+        const zoomFollow = 1 - Math.exp(-CAMERA_CONFIG.zoomRate * dt);
+        camera.centerX += (target.x - camera.centerX) * follow;
+        camera.centerY += (target.y - camera.centerY) * follow;
+        camera.targetZoom += (target.zoom - camera.targetZoom) * zoomFollow;
+    }
+
+    setCameraZoom(camera.targetZoom);
+    camera.x = camera.centerX - camera.viewWidth / 2;
+    camera.y = camera.centerY - camera.viewHeight / 2;
+
+    // Clamp camera to world boundaries
+    camera.x = Math.max(0, Math.min(camera.x, WORLD_WIDTH - camera.viewWidth));
+    camera.y = Math.max(0, Math.min(camera.y, WORLD_HEIGHT - camera.viewHeight));
+}
+
+/**
+ * Set the camera zoom and the world area it shows
+ * 
+ * @param {number} zoom - Screen pixels per world pixel
+ */
+function setCameraZoom(zoom) {
+    camera.zoom = zoom;
+    camera.viewWidth = CANVAS_WIDTH / zoom;
+    camera.viewHeight = CANVAS_HEIGHT / zoom;
+}
+
+// ===== CANVAS RESOLUTION =====
+
+/**
+ * Match the canvas backing store to its size on screen
+ * Everything is drawn in CANVAS_WIDTH x CANVAS_HEIGHT logical pixels; the
+ * canvas is stretched by CSS to fill the window and scaled here by the
+ * device pixel ratio, so it stays sharp on HiDPI screens at any size
+ */
+function resizeCanvas() {
+    const displayWidth = canvas.clientWidth; // CSS pixels inside the border
+    if (displayWidth === 0) return;          // Not laid out yet
+    const scale = (displayWidth / CANVAS_WIDTH) * (window.devicePixelRatio || 1);
+    const width = Math.round(CANVAS_WIDTH * scale);
+    const height = Math.round(CANVAS_HEIGHT * scale);
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;   // Also clears the canvas and resets the context
+        canvas.height = height;
+    }
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+
+    // Frames that aren't redrawn by a running loop need drawing again
+    if (!editor && (paused || (!gameRunning && !replay))) {
+        draw();
+    }
+}
+
+/**
+ * Resize again whenever the device pixel ratio changes, e.g. when the
+ * window moves to another screen or the page is zoomed
+ */
+function watchPixelRatio() {
+    if (!window.matchMedia) return;
+    matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`).addEventListener('change', () => {
+        resizeCanvas();
+        watchPixelRatio();
+    }, { once: true });
+}
+
+window.addEventListener('resize', resizeCanvas);
+watchPixelRatio();
+
+// ===== NIGHT LIGHTING =====
+
+/**
+ * Night mode lighting
+ * The scene is covered in darkness with pools of light cut out around the
+ * owner and each cat. Obstacles block the light, so every pool is the area
+ * its source can actually see. Ghosts outside the light only show as a faint
+ * glow, and the minimap only shows ghosts that are lit
+ */
+const LIGHTING_CONFIG = {
+    darkness: 'rgba(4, 6, 18, 0.94)',
+    radius: { owner: 230, cat: 170 },  // Reach of each light (world pixels)
+    falloff: 0.55,                     // Fraction of the radius lit at full strength
+    rays: 72,                          // Evenly spread rays per light, on top of those aimed at obstacle corners
+    ghostGlow: { size: 2.2, alpha: 0.3 } // Unlit ghosts: glow radius (times their radius) and opacity
+};
+
+let nightMode = false;          // Whether the current run is played at night
+let litEnemies = new Set();     // Enemies inside a light in the last drawn frame
+const lightCanvas = document.createElement('canvas'); // Darkness layer, composed off-screen
+const lightCtx = lightCanvas.getContext('2d');
+
+/**
+ * Light sources of the current frame
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ * @returns {Object[]} - { x, y, radius } per light
+ */
+function getLights(alpha) {
+    const lights = [{ ...interpolatePosition(owner, alpha), radius: LIGHTING_CONFIG.radius.owner }];
+    for (let cat of cats) {
+        lights.push({ ...interpolatePosition(cat, alpha), radius: LIGHTING_CONFIG.radius.cat });
+    }
+    return lights;
+}
+
+/**
+ * Edges of the obstacles that can block a light
+ * 
+ * @param {Object} light - { x, y, radius }
+ * @returns {number[][]} - Segments as [ax, ay, bx, by]
+ */
+function getShadowSegments(light) {
+    const segments = [];
+    for (let obstacle of obstacles) {
+        const left = obstacle.x, top = obstacle.y;
+        const right = left + obstacle.width, bottom = top + obstacle.height;
+        if (right < light.x - light.radius || left > light.x + light.radius ||
+            bottom < light.y - light.radius || top > light.y + light.radius) continue;
+        segments.push(
+            [left, top, right, top], [right, top, right, bottom],
+            [right, bottom, left, bottom], [left, bottom, left, top]);
+    }
+    return segments;
+}
+
+/**
+ * How far light travels from a source in one direction
+ * 
+ * @param {Object} light - { x, y, radius }
+ * @param {number} angle - Direction (radians)
+ * @param {number[][]} segments - Blocking segments from getShadowSegments()
+ * @returns {number} - Distance to the first obstacle, at most the light's radius
+ */
+function castLightRay(light, angle, segments) {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    let nearest = light.radius;
+    for (let [ax, ay, bx, by] of segments) {
+        const sx = bx - ax;
+        const sy = by - ay;
+        const denominator = dx * sy - dy * sx;
+        if (Math.abs(denominator) < 1e-9) continue; // Parallel
+        const t = ((ax - light.x) * sy - (ay - light.y) * sx) / denominator; // Along the ray
+        const u = ((ax - light.x) * dy - (ay - light.y) * dx) / denominator; // Along the segment
+        if (t > 0 && t < nearest && u >= 0 && u <= 1) {
+            nearest = t;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Outline of the area a light can see, as a polygon around it
+ * Rays go out evenly plus just either side of every obstacle corner, so
+ * shadow edges line up with the corners exactly
+ * 
+ * @param {Object} light - { x, y, radius }
+ * @param {number[][]} segments - Blocking segments from getShadowSegments()
+ * @returns {number[][]} - Polygon points as [x, y], in angle order
+ */
+function getLightPolygon(light, segments) {
+    const angles = [];
+    for (let i = 0; i < LIGHTING_CONFIG.rays; i++) {
+        angles.push((i / LIGHTING_CONFIG.rays) * Math.PI * 2 - Math.PI);
+    }
+    for (let [ax, ay] of segments) {
+        const angle = Math.atan2(ay - light.y, ax - light.x);
+        angles.push(angle - 1e-4, angle, angle + 1e-4);
+    }
+    angles.sort((a, b) => a - b);
+    return angles.map(angle => {
+        const distance = castLightRay(light, angle, segments);
+        return [light.x + Math.cos(angle) * distance, light.y + Math.sin(angle) * distance];
+    });
+}
+
+/**
+ * Whether a point is inside a light's reach with nothing in between
+ * 
+ * @param {Object} light - { x, y, radius }
+ * @param {number[][]} segments - Blocking segments from getShadowSegments()
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {boolean}
+ */
+function isLitBy(light, segments, x, y) {
+    const distance = Math.hypot(x - light.x, y - light.y);
+    return distance <= light.radius &&
+        castLightRay(light, Math.atan2(y - light.y, x - light.x), segments) >= distance;
+}
+
+/**
+ * Darken the world, cut out the light pools and show unlit ghosts as a glow
+ * Called while the world transform is active, after the entities are drawn
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function drawLighting(alpha) {
+    if (lightCanvas.width !== canvas.width || lightCanvas.height !== canvas.height) {
+        lightCanvas.width = canvas.width;
+        lightCanvas.height = canvas.height;
+    }
+    lightCtx.setTransform(1, 0, 0, 1, 0, 0);
+    lightCtx.globalCompositeOperation = 'source-over';
+    lightCtx.clearRect(0, 0, lightCanvas.width, lightCanvas.height);
+    lightCtx.fillStyle = LIGHTING_CONFIG.darkness;
+    lightCtx.fillRect(0, 0, lightCanvas.width, lightCanvas.height);
+
+    // Erase the darkness where each light reaches, in the world's own transform
+    lightCtx.setTransform(ctx.getTransform());
+    lightCtx.globalCompositeOperation = 'destination-out';
+    const lights = getLights(alpha).map(light => ({ light: light, segments: getShadowSegments(light) }));
+    for (let { light, segments } of lights) {
+        const x = light.x - camera.x;
+        const y = light.y - camera.y;
+        const gradient = lightCtx.createRadialGradient(x, y, 0, x, y, light.radius);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(LIGHTING_CONFIG.falloff, 'rgba(0, 0, 0, 0.9)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        lightCtx.fillStyle = gradient;
+        lightCtx.beginPath();
+        for (let [pointX, pointY] of getLightPolygon(light, segments)) {
+            lightCtx.lineTo(pointX - camera.x, pointY - camera.y);
+        }
+        lightCtx.closePath();
+        lightCtx.fill();
+    }
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.drawImage(lightCanvas, 0, 0);
+    ctx.restore();
+
+    // Ghosts out of every light are only a faint glow in the dark
+    litEnemies = new Set();
+    ctx.save();
+    for (let enemy of enemies) {
+        const enemyPos = interpolatePosition(enemy, alpha);
+        if (lights.some(({ light, segments }) => isLitBy(light, segments, enemyPos.x, enemyPos.y))) {
+            litEnemies.add(enemy);
+            continue;
+        }
+        const x = enemyPos.x - camera.x;
+        const y = enemyPos.y - camera.y;
+        const radius = enemy.radius * LIGHTING_CONFIG.ghostGlow.size;
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, getEnemyGlow(ENEMY_TYPES[enemy.type]));
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.globalAlpha = LIGHTING_CONFIG.ghostGlow.alpha * getEnemyAlpha(enemy);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+    ctx.restore();
+}
+
+// ===== RENDERING SYSTEM =====
+
+/**
+ * Blend an entity's previous and current tick positions
+ * Rendering happens between simulation ticks, so positions are interpolated
+ * to keep motion smooth on displays faster than the tick rate
+ * 
+ * @param {Object} entity - Entity with x, y, prevX, prevY
+ * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current)
+ * @returns {{x: number, y: number}} - Position to render at
+ */
+function interpolatePosition(entity, alpha) {
+    return {
+        x: entity.prevX + (entity.x - entity.prevX) * alpha,
+        y: entity.prevY + (entity.y - entity.prevY) * alpha
+    };
+}
+
+/**
+ * How each enemy behavior looks, keyed like ENEMY_BEHAVIORS
+ * 
+ * Each entry may define:
+ * - getAlpha(enemy): opacity to draw it with (default 1)
+ * - drawOverlay(enemy, type, screenX, screenY): extra visuals drawn on top
+ */
+const BEHAVIOR_VISUALS = {
+    /**
+     * Phase - nearly invisible while phased, flickering just before
+     */
+    phase: {
+        getAlpha(enemy) {
+            if (enemy.phased) return 0.12;
+            // Flicker just before vanishing as a warning
+            return enemy.phaseTimer < 0.4 && Math.floor(enemy.phaseTimer * 20) % 2 === 0 ? 0.5 : 1;
+        }
+    },
+
+    /**
+     * Charge - a dashed line along the coming dash
+     */
+    charge: {
+        drawOverlay(enemy, type, screenX, screenY) {
+            if (enemy.state !== 'windup') return;
+
+            // Telegraph the dash path
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 60, 60, 0.7)';
+            ctx.lineWidth = 3;
+            ctx.setLineDash([10, 8]);
+            ctx.beginPath();
+            ctx.moveTo(screenX, screenY);
+            ctx.lineTo(screenX + enemy.chargeX * type.dashSpeed * type.dashTime,
+                       screenY + enemy.chargeY * type.dashSpeed * type.dashTime);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+};
+
+/**
+ * Opacity to draw an enemy with
+ * 
+ * @param {Object} enemy - Enemy entity
+ * @returns {number} - Alpha (0-1)
+ */
+function getEnemyAlpha(enemy) {
+    const visuals = BEHAVIOR_VISUALS[ENEMY_TYPES[enemy.type].behavior];
+    return visuals && visuals.getAlpha ? visuals.getAlpha(enemy) : 1;
+}
+
+/**
+ * Draw background grid for visual reference
+ * Provides spatial awareness and visual appeal
+ */
+function drawGrid() {
+    if (images.grass) {
+        // Calculate starting tile position
+        const startX = Math.floor(camera.x / GRID_SIZE) * GRID_SIZE;
+        const startY = Math.floor(camera.y / GRID_SIZE) * GRID_SIZE;
+        
+        // Calculate visible area with one extra tile for smooth scrolling
+        const endX = startX + camera.viewWidth + GRID_SIZE;
+        const endY = startY + camera.viewHeight + GRID_SIZE;
+        
+        // Draw grass tiles
+        for (let y = startY; y < endY; y += GRID_SIZE) {
+            for (let x = startX; x < endX; x += GRID_SIZE) {
+                ctx.drawImage(
+                    images.grass,
+                    x - camera.x,
+                    y - camera.y,
+                    GRID_SIZE,
+                    GRID_SIZE
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Draw a single obstacle with art for its kind
+ * The collision shape is always the full rectangle; the art stays inside it
+ * 
+ * @param {Object} obstacle - Obstacle to draw
+ * @param {number} x - Screen X of the obstacle's top-left corner
+ * @param {number} y - Screen Y of the obstacle's top-left corner
+ */
+function drawObstacle(obstacle, x, y) {
+    const w = obstacle.width;
+    const h = obstacle.height;
+    const variant = obstacle.variant || 0;
+
+    ctx.save();
+    if (accessibility.highContrast) {
+        // Plain block, so obstacles stand out from any ground and glow
+        ctx.fillStyle = HIGH_CONTRAST_OBSTACLES.fill;
+        ctx.strokeStyle = HIGH_CONTRAST_OBSTACLES.outline;
+        ctx.lineWidth = 3;
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeRect(x + 1.5, y + 1.5, w - 3, h - 3);
+        ctx.restore();
+        return;
+    }
+    switch (obstacle.kind) {
+        case 'bush': {
+            // Overlapping leafy blobs
+            ctx.fillStyle = '#1f4d23';
+            ctx.fillRect(x + w * 0.1, y + h * 0.3, w * 0.8, h * 0.7);
+            const blobs = [[0.3, 0.4], [0.7, 0.4], [0.5, 0.25], [0.25, 0.75], [0.75, 0.75], [0.5, 0.6]];
+            for (let [bx, by] of blobs) {
+                ctx.fillStyle = '#2e6b32';
+                ctx.beginPath();
+                ctx.arc(x + w * bx, y + h * by, Math.min(w, h) * 0.28, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.beginPath();
+            ctx.arc(x + w * 0.4, y + h * 0.3, Math.min(w, h) * 0.15, 0, Math.PI * 2);
+            ctx.fill();
+            break;
+        }
+        case 'tombstone': {
+            // Rounded headstone with a cross
+            ctx.fillStyle = '#6b6b78';
+            ctx.beginPath();
+            ctx.moveTo(x, y + h);
+            ctx.lineTo(x, y + w / 2);
+            ctx.arc(x + w / 2, y + w / 2, w / 2, Math.PI, 0);
+            ctx.lineTo(x + w, y + h);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = '#4a4a55';
+            ctx.fillRect(x + w / 2 - 2, y + h * 0.3, 4, h * 0.4);
+            ctx.fillRect(x + w * 0.3, y + h * 0.42, w * 0.4, 4);
+            ctx.fillStyle = '#3d2e1f';
+            ctx.fillRect(x - 2, y + h - 5, w + 4, 5);
+            break;
+        }
+        case 'crypt': {
+            // Stone building with a peaked roof and a dark doorway
+            ctx.fillStyle = '#55535e';
+            ctx.fillRect(x, y + h * 0.3, w, h * 0.7);
+            ctx.fillStyle = '#3b3942';
+            ctx.beginPath();
+            ctx.moveTo(x - 4, y + h * 0.32);
+            ctx.lineTo(x + w / 2, y);
+            ctx.lineTo(x + w + 4, y + h * 0.32);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = '#111';
+            ctx.fillRect(x + w / 2 - w * 0.12, y + h * 0.55, w * 0.24, h * 0.45);
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+            ctx.lineWidth = 1;
+            for (let row = y + h * 0.45; row < y + h; row += 10) {
+                ctx.beginPath();
+                ctx.moveTo(x, row);
+                ctx.lineTo(x + w, row);
+                ctx.stroke();
+            }
+            break;
+        }
+        case 'hedge': {
+            // Trimmed hedge with a lighter top edge
+            ctx.fillStyle = '#1e4a21';
+            ctx.fillRect(x, y, w, h);
+            ctx.fillStyle = '#2b6630';
+            ctx.fillRect(x + 3, y + 3, w - 6, h - 6);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.15)';
+            const step = 12;
+            for (let i = (variant * step) % step; i < Math.max(w, h); i += step) {
+                if (w > h) {
+                    ctx.fillRect(x + i, y + 3, 3, h - 6);
+                } else {
+                    ctx.fillRect(x + 3, y + i, w - 6, 3);
+                }
+            }
+            break;
+        }
+        default: {
+            // Rock: chamfered boulder with a highlight and a crack
+            const corner = Math.min(w, h) * 0.2;
+            ctx.fillStyle = '#4a4a4a';
+            ctx.beginPath();
+            ctx.moveTo(x + corner, y);
+            ctx.lineTo(x + w - corner, y);
+            ctx.lineTo(x + w, y + corner);
+            ctx.lineTo(x + w, y + h - corner);
+            ctx.lineTo(x + w - corner, y + h);
+            ctx.lineTo(x + corner, y + h);
+            ctx.lineTo(x, y + h - corner);
+            ctx.lineTo(x, y + corner);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillStyle = '#5e5e5e';
+            ctx.beginPath();
+            ctx.ellipse(x + w * 0.42, y + h * 0.4, w * 0.32, h * 0.28, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x + w * (0.3 + variant * 0.3), y + h * 0.2);
+            ctx.lineTo(x + w * 0.5, y + h * 0.5);
+            ctx.lineTo(x + w * (0.4 + variant * 0.2), y + h * 0.75);
+            ctx.stroke();
+            break;
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Draw the "Wave N" banner while it is showing
+ * Fades out over the last half second
+ */
+function drawWaveBanner() {
+    if (wave.bannerTimer <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, wave.bannerTimer / 0.5);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(0, CANVAS_HEIGHT / 2 - 60, CANVAS_WIDTH, 110);
+
+    ctx.font = 'bold 42px "Courier New", monospace';
+    ctx.fillStyle = '#ff6b6b';
+    ctx.shadowColor = '#ff6b6b';
+    ctx.shadowBlur = 10;
+    ctx.fillText(wave.bannerText, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 18);
+
+    ctx.font = '18px "Courier New", monospace';
+    ctx.fillStyle = '#ffffff';
+    ctx.shadowBlur = 0;
+    ctx.fillText(wave.bannerSubtext, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 25);
+    ctx.restore();
+}
+
+/**
+ * Draw the whole world shrunk into a corner of the screen
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function drawMinimap(alpha) {
+    const scale = MINIMAP_CONFIG.size / Math.max(WORLD_WIDTH, WORLD_HEIGHT);
+    const width = WORLD_WIDTH * scale;
+    const height = WORLD_HEIGHT * scale;
+    const left = CANVAS_WIDTH - width - MINIMAP_CONFIG.margin;
+    const top = MINIMAP_CONFIG.margin;
+    const dot = (x, y, radius, color) => {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(left + x * scale, top + y * scale, radius, 0, Math.PI * 2);
+        ctx.fill();
+    };
+
+    ctx.save();
+    ctx.fillStyle = MINIMAP_CONFIG.background;
+    ctx.fillRect(left, top, width, height);
+
+    ctx.fillStyle = accessibility.highContrast ? HIGH_CONTRAST_OBSTACLES.minimap : MINIMAP_CONFIG.obstacleColor;
+    for (let obstacle of obstacles) {
+        ctx.fillRect(left + obstacle.x * scale, top + obstacle.y * scale,
+            Math.max(1, obstacle.width * scale), Math.max(1, obstacle.height * scale));
+    }
+
+    // Visible area
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left + camera.x * scale, top + camera.y * scale,
+        camera.viewWidth * scale, camera.viewHeight * scale);
+
+    for (let powerup of powerups) {
+        dot(powerup.x, powerup.y, 2, POWERUP_TYPES[powerup.type].color);
+    }
+    for (let enemy of enemies) {
+        if (nightMode && !litEnemies.has(enemy)) continue; // Hidden in the dark
+        const type = ENEMY_TYPES[enemy.type];
+        const enemyPos = interpolatePosition(enemy, alpha);
+        ctx.globalAlpha = getEnemyAlpha(enemy); // Phased ghosts stay as faint here as on screen
+        dot(enemyPos.x, enemyPos.y, MINIMAP_CONFIG.dotRadius * (type.highlight ? 1.6 : 1), getEnemyGlow(type));
+    }
+    ctx.globalAlpha = 1;
+    const ownerPos = interpolatePosition(owner, alpha);
+    dot(ownerPos.x, ownerPos.y, 4, '#f7d794');
+    for (let cat of cats) {
+        const catPos = interpolatePosition(cat, alpha);
+        dot(catPos.x, catPos.y, 3.5, CAT_PLAYERS[cat.player].color);
+    }
+
+    ctx.strokeStyle = '#666';
+    ctx.strokeRect(left, top, width, height);
+    ctx.restore();
+}
+
+/**
+ * Point arrows from the screen edge at every ghost outside the view
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function drawOffscreenIndicators(alpha) {
+    const centerX = CANVAS_WIDTH / 2;
+    const centerY = CANVAS_HEIGHT / 2;
+    const halfWidth = centerX - INDICATOR_CONFIG.inset;
+    const halfHeight = centerY - INDICATOR_CONFIG.inset;
+    const [near, far] = INDICATOR_CONFIG.range;
+    const [smallest, largest] = INDICATOR_CONFIG.size;
+    const [faintest, brightest] = INDICATOR_CONFIG.alpha;
+
+    ctx.save();
+    for (let enemy of enemies) {
+        if (nightMode && !litEnemies.has(enemy)) continue; // Hidden in the dark, as on the minimap
+        const type = ENEMY_TYPES[enemy.type];
+        const enemyPos = interpolatePosition(enemy, alpha);
+        const screenX = (enemyPos.x - camera.x) * camera.zoom;
+        const screenY = (enemyPos.y - camera.y) * camera.zoom;
+        if (screenX >= 0 && screenX <= CANVAS_WIDTH && screenY >= 0 && screenY <= CANVAS_HEIGHT) continue;
+
+        // Slide the arrow along the line from the screen center to the ghost
+        // until it meets the inset screen edge
+        const dx = screenX - centerX;
+        const dy = screenY - centerY;
+        const edge = Math.min(halfWidth / Math.abs(dx || 1e-6), halfHeight / Math.abs(dy || 1e-6));
+        const x = centerX + dx * edge;
+        const y = centerY + dy * edge;
+
+        const distance = Math.hypot(enemy.x - owner.x, enemy.y - owner.y);
+        const closeness = 1 - Math.max(0, Math.min(1, (distance - near) / (far - near)));
+        const size = (smallest + (largest - smallest) * closeness) * (type.highlight ? 1.25 : 1);
+
+        ctx.globalAlpha = (faintest + (brightest - faintest) * closeness) * getEnemyAlpha(enemy);
+        ctx.fillStyle = getEnemyGlow(type);
+        ctx.strokeStyle = type.highlight ? '#ffffff' : 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(Math.atan2(dy, dx));
+        ctx.beginPath();
+        ctx.moveTo(size, 0);
+        ctx.lineTo(-size * 0.7, -size * 0.7);
+        ctx.lineTo(-size * 0.3, 0);
+        ctx.lineTo(-size * 0.7, size * 0.7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+    ctx.restore();
+}
+
+/**
+ * Main rendering function
+ * Draws all game elements in proper layered order
+ * 
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function draw(alpha = 1) {
+    updateCamera(alpha);
+
+    // Clear canvas with dark background
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // The world is drawn in world-sized pixels, scaled by the camera zoom
+    // and nudged by any screen shake
+    const shake = getShakeOffset();
+    ctx.save();
+    ctx.translate(shake.x, shake.y);
+    ctx.scale(camera.zoom, camera.zoom);
+
+    // Draw background grid, tinted to the world theme
+    drawGrid();
+    const groundTint = WORLD_THEMES[worldTheme].groundTint;
+    if (groundTint) {
+        ctx.fillStyle = groundTint;
+        ctx.fillRect(0, 0, camera.viewWidth, camera.viewHeight);
+    }
+
+    // Draw obstacles (behind entities)
+    for (let obstacle of obstacles) {
+        // Convert world coordinates to screen coordinates
+        const screenX = obstacle.x - camera.x;
+        const screenY = obstacle.y - camera.y;
+        
+        // Only draw if obstacle is visible on screen (performance optimization)
+        if (screenX + obstacle.width >= 0 && screenX <= camera.viewWidth &&
+            screenY + obstacle.height >= 0 && screenY <= camera.viewHeight) {
+            drawObstacle(obstacle, screenX, screenY);
+        }
+    }
+
+    // Draw power-up pickups, blinking during their last few seconds
+    for (let powerup of powerups) {
+        const screenX = powerup.x - camera.x;
+        const screenY = powerup.y - camera.y;
+        if (powerup.life < 3 && Math.floor(powerup.life * 6) % 2 === 0) continue;
+
+        const type = POWERUP_TYPES[powerup.type];
+        const bob = Math.sin(powerup.life * 4) * 3;
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+        ctx.strokeStyle = type.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(screenX, screenY + bob, powerup.radius + 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.font = `${powerup.radius * 1.5}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(type.icon, screenX, screenY + bob + 1);
+        ctx.restore();
+    }
+
+    // Puffs, dissolves and ghost trails
+    drawParticles(false);
+
+    // Draw enemies
+    for (let enemy of enemies) {
+        // Convert interpolated world coordinates to screen coordinates
+        const enemyPos = interpolatePosition(enemy, alpha);
+        const screenX = enemyPos.x - camera.x;
+        const screenY = enemyPos.y - camera.y;
+        
+        // Only draw if enemy is visible on screen
+        if (screenX >= -enemy.radius && screenX <= camera.viewWidth + enemy.radius &&
+            screenY >= -enemy.radius && screenY <= camera.viewHeight + enemy.radius) {
+            
+            // Look up sprite and look from the enemy's registry entry
+            const type = ENEMY_TYPES[enemy.type];
+            const spriteSize = enemy.radius * 3;
+            ctx.save();
+            ctx.globalAlpha = getEnemyAlpha(enemy);
+            if (enemy.hitTimer > 0 && Math.floor(enemy.hitTimer * 15) % 2 === 0) {
+                ctx.globalAlpha *= 0.3; // Blink while immune after a hit
+            }
+            if (type.filter) {
+                ctx.filter = type.filter;
+            }
+            if (effectSettings.glow) {
+                ctx.shadowColor = getEnemyGlow(type);
+                ctx.shadowBlur = EFFECTS_CONFIG.glowBlur;
+            }
+
+            drawSprite(type.sprite, 'float', simulationTime + getAnimationPhase(enemy),
+                screenX, screenY, spriteSize, !enemy.facingRight);
+            ctx.restore();
+
+            if (accessibility.markers) {
+                ctx.save();
+                ctx.globalAlpha = getEnemyAlpha(enemy); // Fades with phasing ghosts
+                drawEnemyMarker(enemy.type, screenX, screenY, enemy.radius * 0.8);
+                ctx.restore();
+            }
+
+            const visuals = BEHAVIOR_VISUALS[type.behavior];
+            if (visuals && visuals.drawOverlay) {
+                visuals.drawOverlay(enemy, type, screenX, screenY);
+            }
+
+            // Stunned ghosts get circling stars
+            if (enemy.stunTimer > 0) {
+                ctx.save();
+                ctx.fillStyle = '#ffd166';
+                for (let s = 0; s < 3; s++) {
+                    const angle = simulationTime * 6 + (s * Math.PI * 2) / 3;
+                    ctx.beginPath();
+                    ctx.arc(screenX + Math.cos(angle) * enemy.radius * 1.4,
+                            screenY - enemy.radius * 1.6 + Math.sin(angle) * 4, 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                ctx.restore();
+            }
+        }
+    }
+
+    // Draw owner (player character)
+    const ownerPos = interpolatePosition(owner, alpha);
+    const ownerScreenX = ownerPos.x - camera.x;
+    const ownerScreenY = ownerPos.y - camera.y;
+    drawSprite('owner', isMoving(owner) ? 'walk' : 'idle', simulationTime,
+        ownerScreenX, ownerScreenY, owner.radius * 8, owner.facingLeft); // Larger sprite for visibility
+
+    // Expanding hiss ring around the owner
+    for (let cat of cats) {
+        const hissAge = simulationTime - cat.hissTime;
+        if (cat.hissTime >= 0 && hissAge < 0.4) {
+            ctx.save();
+            ctx.strokeStyle = `rgba(255, 209, 102, ${1 - hissAge / 0.4})`;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(ownerScreenX, ownerScreenY, CAT_ABILITIES.hiss.radius * (0.3 + hissAge / 0.4 * 0.7), 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+
+    // Protective ring while a charm is active
+    if ('charm' in activeEffects) {
+        ctx.save();
+        ctx.strokeStyle = POWERUP_TYPES.charm.color;
+        ctx.globalAlpha = 0.6 + Math.sin(simulationTime * 5) * 0.2;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(ownerScreenX, ownerScreenY, owner.radius * 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Show that the owner is scared
+    if (owner.aiState === 'flee' || owner.aiState === 'huddle') {
+        ctx.save();
+        ctx.font = 'bold 20px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffd166';
+        ctx.fillText('!', ownerScreenX, ownerScreenY - owner.radius * 4);
+        ctx.restore();
+    }
+
+    // Draw cats (on top of everything else for visibility)
+    for (let cat of cats) {
+        drawCat(cat, alpha);
+    }
+    if (nightMode) {
+        drawLighting(alpha);
+    }
+    drawParticles(true);
+    ctx.restore();
+
+    // Draw screen-space overlays
+    drawHitFlash();
+    drawOffscreenIndicators(alpha);
+    drawMinimap(alpha);
+    drawWaveBanner();
+    if (benchmark) {
+        drawBenchmarkOverlay();
+    }
+}
+
+/**
+ * Draw a cat with its player's tint, plus a player tag in co-op
+ * 
+ * @param {Object} cat - Cat to draw
+ * @param {number} alpha - Interpolation factor between the last two ticks
+ */
+function drawCat(cat, alpha) {
+    const catPos = interpolatePosition(cat, alpha);
+    const catScreenX = catPos.x - camera.x;
+    const catScreenY = catPos.y - camera.y;
+    const appearance = CAT_PLAYERS[cat.player];
+
+    if (cats.length > 1) {
+        ctx.save();
+        ctx.font = 'bold 12px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = appearance.color;
+        ctx.fillText(appearance.label, catScreenX, catScreenY - cat.radius * 2);
+        ctx.restore();
+    }
+
+    // Motion streak behind a pouncing cat
+    if (cat.dashTimer > 0) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(78, 205, 196, 0.5)';
+        ctx.lineWidth = cat.radius * 1.5;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(catScreenX, catScreenY);
+        ctx.lineTo(catScreenX - cat.dashX * 40, catScreenY - cat.dashY * 40);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // The catch clip plays out after a catch; otherwise walk or idle
+    const catchAge = simulationTime - (catCatchTimes[cat.player] ?? -Infinity);
+    const catching = catchAge >= 0 && catchAge < SPRITE_SHEETS.cat.clips.catch.duration;
+    const clip = catching ? 'catch' : isMoving(cat) ? 'walk' : 'idle';
+
+    ctx.save();
+    ctx.filter = appearance.filter;
+    drawSprite('cat', clip, catching ? catchAge : simulationTime, catScreenX, catScreenY, cat.radius * 3, cat.facingLeft);
+    ctx.restore();
+}
+
+// ===== AUDIO SYSTEM =====
+
+let audio = null;              // Web Audio graph, created on the first user gesture
+let audioUnavailable = false;  // Set when the browser has no usable Web Audio
+let volumes = loadVolumes();   // Master, music and effects volume (0-1)
+
+/**
+ * Load saved volumes, falling back to the defaults for anything missing
+ * 
+ * @returns {Object} - Channel -> volume (0-1)
+ */
+function loadVolumes() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(AUDIO_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const loaded = {};
+    for (let channel in DEFAULT_VOLUMES) {
+        const value = Number(saved[channel]);
+        loaded[channel] = Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : DEFAULT_VOLUMES[channel];
+    }
+    return loaded;
+}
+
+/**
+ * Persist the volumes in localStorage
+ */
+function saveVolumes() {
+    localStorage.setItem(AUDIO_SETTINGS_KEY, JSON.stringify(volumes));
+}
+
+/**
+ * Create the audio graph, or resume it if the browser suspended it
+ * Browsers only allow audio to start from a user gesture, so this runs on
+ * the first key press or pointer press. Without Web Audio the game stays silent
+ */
+function unlockAudio() {
+    if (audio) {
+        if (audio.context.state === 'suspended') {
+            audio.context.resume().catch(() => {});
+        }
+        return;
+    }
+    if (audioUnavailable) return;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        audioUnavailable = true;
+        return;
+    }
+    try {
+        const context = new AudioContextClass();
+        const master = context.createGain();
+        const music = context.createGain();
+        const sfx = context.createGain();
+        music.connect(master);
+        sfx.connect(master);
+        master.connect(context.destination);
+
+        // One second of white noise shared by every noise note
+        const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+
+        audio = {
+            context: context,
+            master: master,
+            music: music,
+            sfx: sfx,
+            noise: noise,
+            song: null         // Music state while a run is playing
+        };
+        applyVolumes();
+    } catch (error) {
+        audioUnavailable = true;
+    }
+}
+
+/**
+ * Push the volume settings into the audio graph
+ */
+function applyVolumes() {
+    if (!audio) return;
+    const now = audio.context.currentTime;
+    audio.master.gain.setTargetAtTime(volumes.master, now, 0.02);
+    audio.music.gain.setTargetAtTime(volumes.music, now, 0.02);
+    audio.sfx.gain.setTargetAtTime(volumes.sfx, now, 0.02);
+}
+
+/**
+ * Change one volume channel and save it
+ * 
+ * @param {string} channel - 'master', 'music' or 'sfx'
+ * @param {number} value - Volume (0-1)
+ */
+function setVolume(channel, value) {
+    volumes[channel] = Math.max(0, Math.min(1, value));
+    saveVolumes();
+    applyVolumes();
+}
+
+/**
+ * Schedule one synthesized note
+ * 
+ * @param {AudioNode} destination - Node the note plays into
+ * @param {Object} note - Note definition (see SOUND_EFFECTS)
+ * @param {number} startTime - AudioContext time the note starts at
+ */
+function playNote(destination, note, startTime) {
+    const context = audio.context;
+    const start = startTime + (note.delay || 0);
+    const end = start + note.duration;
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(note.gain, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+    envelope.connect(destination);
+
+    let source;
+    if (note.noise) {
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = note.filter;
+        filter.connect(envelope);
+        source = context.createBufferSource();
+        source.buffer = audio.noise;
+        source.connect(filter);
+    } else {
+        source = context.createOscillator();
+        source.type = note.wave;
+        source.frequency.setValueAtTime(note.from, start);
+        source.frequency.exponentialRampToValueAtTime(note.to, end);
+        source.connect(envelope);
+    }
+    source.start(start);
+    source.stop(end + 0.05);
+}
+
+/**
+ * Play a sound effect
+ * 
+ * @param {string} name - Key into SOUND_EFFECTS
+ */
+function playSound(name) {
+    if (!audio || fastForwarding) return;
+    const now = audio.context.currentTime;
+    for (let note of SOUND_EFFECTS[name]) {
+        playNote(audio.sfx, note, now);
+    }
+}
+
+/**
+ * How threatened the owner is, from 0 (calm) to 1
+ * 
+ * @returns {number} - Share of MUSIC_CONFIG.tensionGhosts ghosts near the owner
+ */
+function getMusicTension() {
+    let near = 0;
+    for (let enemy of enemies) {
+        const dx = enemy.x - owner.x;
+        const dy = enemy.y - owner.y;
+        if (dx * dx + dy * dy < MUSIC_CONFIG.tensionRadius * MUSIC_CONFIG.tensionRadius) {
+            near++;
+        }
+    }
+    return Math.min(1, near / MUSIC_CONFIG.tensionGhosts);
+}
+
+/**
+ * Start the drone and the step sequencer for a run
+ */
+function startMusic() {
+    const context = audio.context;
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, context.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.12, context.currentTime + 1);
+    gain.connect(audio.music);
+
+    const drone = [1, 1.5].map(ratio => {
+        const oscillator = context.createOscillator();
+        oscillator.type = 'sine';
+        oscillator.frequency.value = MUSIC_CONFIG.root * ratio;
+        oscillator.connect(gain);
+        oscillator.start();
+        return oscillator;
+    });
+
+    audio.song = {
+        drone: drone,
+        droneGain: gain,
+        tension: 0,
+        step: 0,                                // Eighth notes played so far
+        nextStepTime: context.currentTime + 0.1,
+        lastUpdate: context.currentTime
+    };
+}
+
+/**
+ * Fade the music out
+ */
+function stopMusic() {
+    if (!audio || !audio.song) return;
+    const now = audio.context.currentTime;
+    audio.song.droneGain.gain.setTargetAtTime(0.0001, now, 0.2);
+    audio.song.drone.forEach(oscillator => oscillator.stop(now + 1));
+    audio.song = null;
+}
+
+/**
+ * Keep the music playing and follow the tension of the run
+ * Called once per rendered frame; notes are scheduled slightly ahead on the
+ * audio clock so frame hitches never make the music stutter
+ */
+function updateMusic() {
+    if (!audio) return;
+    const playing = gameRunning && !(replay && replay.paused);
+    if (!playing) {
+        stopMusic();
+        return;
+    }
+    if (!audio.song) {
+        startMusic();
+    }
+
+    const song = audio.song;
+    const now = audio.context.currentTime;
+    const follow = Math.min(1, (now - song.lastUpdate) / MUSIC_CONFIG.tensionSmoothing);
+    song.tension += (getMusicTension() - song.tension) * follow;
+    song.lastUpdate = now;
+
+    // After a stall (e.g. a background tab) skip ahead instead of bursting notes
+    if (song.nextStepTime < now) {
+        song.nextStepTime = now + 0.05;
+    }
+
+    const [calmTempo, tenseTempo] = MUSIC_CONFIG.tempo;
+    const stepLength = 30 / (calmTempo + (tenseTempo - calmTempo) * song.tension);
+    while (song.nextStepTime < now + MUSIC_CONFIG.lookahead) {
+        scheduleMusicStep(song, song.nextStepTime, stepLength);
+        song.nextStepTime += stepLength;
+        song.step++;
+    }
+}
+
+/**
+ * Schedule the notes of one eighth-note step
+ * 
+ * @param {Object} song - Music state
+ * @param {number} time - AudioContext time of the step
+ * @param {number} stepLength - Seconds per step at the current tempo
+ */
+function scheduleMusicStep(song, time, stepLength) {
+    const fadeIn = threshold => Math.max(0, (song.tension - threshold) / (1 - threshold));
+    const pitch = semitones => MUSIC_CONFIG.root * Math.pow(2, semitones / 12);
+
+    const bassGain = 0.05 + 0.25 * fadeIn(MUSIC_CONFIG.bassTension);
+    if (song.step % 2 === 0) {
+        const bassline = MUSIC_CONFIG.bassline;
+        const frequency = pitch(bassline[(song.step / 2) % bassline.length]) * 2;
+        playNote(audio.music, { wave: 'triangle', from: frequency, to: frequency, duration: stepLength * 1.6, gain: bassGain }, time);
+    }
+
+    const arpeggioGain = 0.12 * fadeIn(MUSIC_CONFIG.arpeggioTension);
+    if (arpeggioGain > 0.005) {
+        const arpeggio = MUSIC_CONFIG.arpeggio;
+        const frequency = pitch(arpeggio[song.step % arpeggio.length]) * 2;
+        playNote(audio.music, { wave: 'square', from: frequency, to: frequency, duration: stepLength * 0.8, gain: arpeggioGain }, time);
+    }
+}
+
+// Audio may only start after the player interacts with the page
+document.addEventListener('keydown', unlockAudio);
+document.addEventListener('pointerdown', unlockAudio);
+
+// ===== EFFECTS SYSTEM =====
+
+let effectSettings = loadEffectSettings();
+const particles = Array.from({ length: EFFECTS_CONFIG.maxParticles }, () => ({ life: 0 }));
+let nextParticle = 0;          // Pool slot the next particle is written to
+let screenShake = 0;           // Shake trauma (0-1)
+let hitFlash = 0;              // Red flash strength (0-1)
+
+/**
+ * Load saved effect toggles, falling back to the defaults for anything missing
+ * 
+ * @returns {Object} - Effect -> enabled
+ */
+function loadEffectSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(EFFECTS_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const loaded = {};
+    for (let setting in DEFAULT_EFFECTS_SETTINGS) {
+        loaded[setting] = typeof saved[setting] === 'boolean' ? saved[setting] : DEFAULT_EFFECTS_SETTINGS[setting];
+    }
+    return loaded;
+}
+
+/**
+ * Turn an effect on or off and save the choice
+ * 
+ * @param {string} setting - Key into DEFAULT_EFFECTS_SETTINGS
+ * @param {boolean} enabled
+ */
+function setEffectSetting(setting, enabled) {
+    effectSettings[setting] = enabled;
+    localStorage.setItem(EFFECTS_SETTINGS_KEY, JSON.stringify(effectSettings));
+    if (!enabled) {
+        clearEffects();
+    }
+}
+
+/**
+ * Remove every particle, pop-up, shake and flash
+ */
+function clearEffects() {
+    for (let particle of particles) {
+        particle.life = 0;
+    }
+    screenShake = 0;
+    hitFlash = 0;
+    catCatchTimes.length = 0;
+}
+
+/**
+ * Random number in a [min, max] range, for cosmetic use only
+ * 
+ * @param {number[]} range - [min, max]
+ * @returns {number}
+ */
+function randomRange([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+/**
+ * Take the next particle from the pool and reset it
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {number} life - Seconds the particle lives
+ * @returns {Object} - Particle to fill in
+ */
+function spawnParticle(x, y, life) {
+    const particle = particles[nextParticle];
+    nextParticle = (nextParticle + 1) % particles.length;
+    particle.x = x;
+    particle.y = y;
+    particle.vx = 0;
+    particle.vy = 0;
+    particle.drag = 0;
+    particle.life = life;
+    particle.maxLife = life;
+    particle.size = 0;
+    particle.color = '#ffffff';
+    particle.text = null;
+    return particle;
+}
+
+/**
+ * Throw a burst of particles out from a point
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {Object} burst - Burst tuning from EFFECTS_CONFIG
+ * @param {string} [color] - Overrides the burst's color
+ */
+function spawnBurst(x, y, burst, color = burst.color) {
+    if (!effectSettings.particles || fastForwarding) return;
+    for (let i = 0; i < burst.count; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = randomRange(burst.speed);
+        const particle = spawnParticle(x, y, randomRange(burst.life));
+        particle.vx = Math.cos(angle) * speed;
+        particle.vy = Math.sin(angle) * speed;
+        particle.drag = 4;
+        particle.size = randomRange(burst.size);
+        particle.color = color;
+    }
+}
+
+/**
+ * Let a caught enemy dissolve into rising wisps of its own color
+ * 
+ * @param {Object} enemy - Enemy that was caught
+ */
+function spawnDissolve(enemy) {
+    if (!effectSettings.particles || fastForwarding) return;
+    const dissolve = EFFECTS_CONFIG.dissolve;
+    for (let i = 0; i < dissolve.count; i++) {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = randomRange(dissolve.speed);
+        const particle = spawnParticle(
+            enemy.x + Math.cos(angle) * enemy.radius,
+            enemy.y + Math.sin(angle) * enemy.radius,
+            randomRange(dissolve.life));
+        particle.vx = Math.cos(angle) * speed;
+        particle.vy = Math.sin(angle) * speed - dissolve.rise;
+        particle.size = randomRange(dissolve.size) * enemy.radius / 10;
+        particle.color = getEnemyGlow(ENEMY_TYPES[enemy.type]);
+    }
+}
+
+/**
+ * Float a score number up from a point
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {string} text - Text to show
+ * @param {string} [color] - Text color
+ */
+function spawnPopup(x, y, text, color = EFFECTS_CONFIG.popup.color) {
+    if (!effectSettings.popups || fastForwarding) return;
+    const particle = spawnParticle(x, y, EFFECTS_CONFIG.popup.life);
+    particle.vy = accessibility.reducedMotion ? 0 : -EFFECTS_CONFIG.popup.rise;
+    particle.text = text;
+    particle.color = color;
+}
+
+/**
+ * Puff, dissolve and score pop-up for a caught enemy
+ * 
+ * @param {Object} enemy - Enemy that was caught
+ * @param {string} text - Pop-up text
+ * @param {Object} cat - Cat that caught it
+ */
+function playCatchEffects(enemy, text, cat) {
+    spawnBurst(enemy.x, enemy.y, EFFECTS_CONFIG.catchPuff);
+    spawnDissolve(enemy);
+    const color = cats.length > 1 ? CAT_PLAYERS[cat.player].color : EFFECTS_CONFIG.popup.color;
+    spawnPopup(enemy.x, enemy.y - enemy.radius * 2, text, color);
+}
+
+/**
+ * Red flash, screen shake and a burst at the owner when a ghost gets through
+ */
+function playOwnerHitEffects() {
+    spawnBurst(owner.x, owner.y, EFFECTS_CONFIG.hitPuff);
+    if (!effectSettings.shake || fastForwarding) return;
+    screenShake = Math.min(1, screenShake + EFFECTS_CONFIG.ownerHitTrauma);
+    hitFlash = 1;
+}
+
+/**
+ * Color a ghost glows and dissolves in
+ * 
+ * @param {Object} type - Enemy registry entry
+ * @returns {string} - CSS color
+ */
+function getEnemyGlow(type) {
+    return type.glow || '#ffffff';
+}
+
+/**
+ * Advance particles, shake and flash by one rendered frame
+ * Effects run on real time, so they keep fading while a replay is paused
+ * 
+ * @param {number} dt - Seconds since the last rendered frame
+ */
+function updateEffects(dt) {
+    screenShake = Math.max(0, screenShake - EFFECTS_CONFIG.shakeDecay * dt);
+    hitFlash = Math.max(0, hitFlash - dt / EFFECTS_CONFIG.flashTime);
+
+    for (let particle of particles) {
+        if (particle.life <= 0) continue;
+        particle.life -= dt;
+        const damping = Math.max(0, 1 - particle.drag * dt);
+        particle.vx *= damping;
+        particle.vy *= damping;
+        particle.x += particle.vx * dt;
+        particle.y += particle.vy * dt;
+    }
+
+    // Ghosts shed faint wisps as they drift
+    if (!effectSettings.particles || accessibility.reducedMotion || !gameRunning || (replay && replay.paused)) return;
+    const trail = EFFECTS_CONFIG.trail;
+    for (let enemy of enemies) {
+        const alpha = getEnemyAlpha(enemy);
+        if (Math.random() >= trail.rate * dt * alpha) continue;
+        const particle = spawnParticle(
+            enemy.x + (Math.random() - 0.5) * enemy.radius,
+            enemy.y + (Math.random() - 0.5) * enemy.radius,
+            randomRange(trail.life));
+        particle.size = randomRange(trail.size) * enemy.radius / 10;
+        particle.color = getEnemyGlow(ENEMY_TYPES[enemy.type]);
+    }
+}
+
+/**
+ * Draw particles or pop-ups in world space
+ * Particles go under the characters and pop-ups over them, so this runs
+ * twice per frame inside the camera's zoom transform
+ * 
+ * @param {boolean} popups - Draw the score pop-ups instead of the particles
+ */
+function drawParticles(popups) {
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 18px "Courier New", monospace';
+    for (let particle of particles) {
+        if (particle.life <= 0 || Boolean(particle.text) !== popups) continue;
+        const screenX = particle.x - camera.x;
+        const screenY = particle.y - camera.y;
+        if (screenX < -20 || screenX > camera.viewWidth + 20 ||
+            screenY < -20 || screenY > camera.viewHeight + 20) continue;
+
+        const fade = particle.life / particle.maxLife;
+        ctx.fillStyle = particle.color;
+        if (particle.text) {
+            ctx.globalAlpha = Math.min(1, fade * 2);
+            ctx.fillText(particle.text, screenX, screenY);
+        } else {
+            ctx.globalAlpha = fade * 0.8;
+            ctx.beginPath();
+            ctx.arc(screenX, screenY, particle.size * (0.5 + fade * 0.5), 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    ctx.restore();
+}
+
+/**
+ * Random screen offset for the current shake, or none
+ * 
+ * @returns {{x: number, y: number}} - Offset in screen pixels
+ */
+function getShakeOffset() {
+    if (screenShake <= 0 || accessibility.reducedMotion) return { x: 0, y: 0 };
+    const strength = screenShake * screenShake * EFFECTS_CONFIG.shakeOffset;
+    return {
+        x: (Math.random() * 2 - 1) * strength,
+        y: (Math.random() * 2 - 1) * strength
+    };
+}
+
+/**
+ * Tint the whole screen red right after the owner is hit
+ */
+function drawHitFlash() {
+    if (hitFlash <= 0) return;
+    ctx.save();
+    ctx.fillStyle = `rgba(255, 40, 40, ${hitFlash * 0.35})`;
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.restore();
+}
+
+// ===== ACCESSIBILITY =====
+
+/**
+ * Accessibility options, set under "Settings"
+ * - markers: a shape on every ghost by type, so types never rely on color alone
+ * - gameSpeed: how fast live play runs (the simulation itself is unchanged,
+ *   it is just fed less real time per frame)
+ * - reducedMotion: no screen shake, sprite bobbing, ghost trails or rising
+ *   pop-ups; defaults to the system's reduced-motion preference
+ * - highContrast: obstacles drawn as plain light blocks with a dark outline
+ */
+const ACCESSIBILITY_SETTINGS_KEY = 'KuroNeko_AccessibilitySettings';
+const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    markers: false,
+    gameSpeed: 1,
+    reducedMotion: Boolean(window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches),
+    highContrast: false
+};
+const GAME_SPEED_RANGE = [0.5, 1];
+
+// Marker shape of each enemy type (keys of ENEMY_TYPES)
+const ENEMY_MARKERS = {
+    ghost: 'circle',
+    red: 'triangle',
+    phantom: 'diamond',
+    splitter: 'square',
+    splitling: 'dot',
+    circler: 'ring',
+    charger: 'cross'
+};
+
+const HIGH_CONTRAST_OBSTACLES = { fill: '#e8e8e8', outline: '#000000', minimap: 'rgba(240, 240, 240, 0.9)' };
+
+let accessibility = loadAccessibilitySettings();
+const announcerElement = document.getElementById('announcer');
+
+/**
+ * Load the saved accessibility options, falling back to the defaults for anything missing
+ * 
+ * @returns {Object} - Accessibility settings
+ */
+function loadAccessibilitySettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(ACCESSIBILITY_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const loaded = {};
+    for (let setting in DEFAULT_ACCESSIBILITY_SETTINGS) {
+        loaded[setting] = typeof saved[setting] === typeof DEFAULT_ACCESSIBILITY_SETTINGS[setting]
+            ? saved[setting]
+            : DEFAULT_ACCESSIBILITY_SETTINGS[setting];
+    }
+    const [slowest, fastest] = GAME_SPEED_RANGE;
+    loaded.gameSpeed = Math.max(slowest, Math.min(fastest, loaded.gameSpeed));
+    return loaded;
+}
+
+/**
+ * Change an accessibility option and save it
+ * 
+ * @param {string} setting - Key into DEFAULT_ACCESSIBILITY_SETTINGS
+ * @param {*} value - New value
+ */
+function setAccessibilitySetting(setting, value) {
+    accessibility[setting] = value;
+    localStorage.setItem(ACCESSIBILITY_SETTINGS_KEY, JSON.stringify(accessibility));
+    applyAccessibilitySettings();
+}
+
+/**
+ * Reflect the options that live outside the canvas
+ */
+function applyAccessibilitySettings() {
+    document.body.classList.toggle('reduced-motion', accessibility.reducedMotion);
+    if (accessibility.reducedMotion) {
+        screenShake = 0;
+    }
+}
+
+/**
+ * Format a game speed as a percentage
+ * 
+ * @param {number} speed - Game speed (1 is full speed)
+ * @returns {string} - e.g. "75%"
+ */
+function formatSpeed(speed) {
+    return `${Math.round(speed * 100)}%`;
+}
+
+/**
+ * Read a message out through the screen reader live region
+ * 
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    if (fastForwarding) return; // Seeking a replay skips past everything
+    // Clearing first makes repeated messages count as new ones
+    announcerElement.textContent = '';
+    setTimeout(() => {
+        announcerElement.textContent = message;
+    }, 50);
+}
+
+/**
+ * Draw an enemy type's marker shape centered on a point
+ * 
+ * @param {string} typeId - Key into ENEMY_TYPES
+ * @param {number} x - Screen X of the center
+ * @param {number} y - Screen Y of the center
+ * @param {number} size - Half the marker's width
+ */
+function drawEnemyMarker(typeId, x, y, size) {
+    const shape = ENEMY_MARKERS[typeId] || 'circle';
+    ctx.save();
+    ctx.beginPath();
+    switch (shape) {
+        case 'triangle':
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y + size * 0.8);
+            ctx.lineTo(x - size, y + size * 0.8);
+            ctx.closePath();
+            break;
+        case 'diamond':
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size);
+            ctx.lineTo(x - size, y);
+            ctx.closePath();
+            break;
+        case 'square':
+            ctx.rect(x - size * 0.8, y - size * 0.8, size * 1.6, size * 1.6);
+            break;
+        case 'dot':
+            ctx.arc(x, y, size * 0.45, 0, Math.PI * 2);
+            break;
+        case 'ring':
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.moveTo(x + size * 0.35, y);
+            ctx.arc(x, y, size * 0.35, 0, Math.PI * 2);
+            break;
+        case 'cross':
+            ctx.moveTo(x - size, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.moveTo(x + size, y - size);
+            ctx.lineTo(x - size, y + size);
+            break;
+        default:
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+    }
+    // Dark halo under a white line reads on any background
+    ctx.lineJoin = 'round';
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.lineWidth = 5;
+    ctx.stroke();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.restore();
+}
+
+applyAccessibilitySettings();
+
+// ===== MAIN GAME LOOP =====
+
+/**
+ * Simulated seconds per real second: the replay speed while watching, the
+ * accessibility game speed in live play, and always 1 for benchmarks
+ * 
+ * @returns {number}
+ */
+function getTimeScale() {
+    if (replay) return replayTimeScale();
+    return benchmark ? 1 : accessibility.gameSpeed;
+}
+
+/**
+ * Main game loop driven by requestAnimationFrame
+ * Elapsed real time is accumulated and consumed in fixed TICK_DURATION steps,
+ * then the frame is rendered interpolated between the last two ticks
+ * 
+ * @param {number} [timestamp] - Frame timestamp supplied by requestAnimationFrame (ms)
+ */
+function gameLoop(timestamp = performance.now()) {
+    if ((!gameRunning && !replay) || paused) return; // Exit if nothing is being played or watched
+
+    // Clamp long frames (e.g. after a tab switch) so we never try to catch up forever
+    const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+    accumulator += Math.max(0, frameTime) * getTimeScale();
+
+    // Run as many fixed ticks as the elapsed time allows
+    const simStart = performance.now();
+    while (accumulator >= TICK_DURATION && gameRunning) {
+        step(nextInput());
+        accumulator -= TICK_DURATION;
+    }
+    const simTime = performance.now() - simStart;
+
+    updateHud();
+    updateAbilityHud();
+    updateComboHud();
+    updatePowerupHud();
+    updateTouchControls();
+    updateMusic();
+    updateEffects(Math.max(0, frameTime));
+    if (replay) {
+        updateReplayControls();
+    }
+    const renderStart = performance.now();
+    draw(Math.min(accumulator / TICK_DURATION, 1)); // Render between the last two ticks
+    if (benchmark && gameRunning) {
+        recordBenchmarkFrame(simTime, performance.now() - renderStart);
+    }
+
+    // Schedule next frame
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+/**
+ * Start the frame loop, cancelling any frame still pending from a previous run
+ * so two loops can never drive the simulation at once
+ */
+function startLoop() {
+    cancelAnimationFrame(animationFrameId);
+    lastFrameTime = performance.now();
+    animationFrameId = requestAnimationFrame(gameLoop);
+}
+
+/**
+ * Fetch every player's input for the tick about to be simulated
+ * Live games sample the devices and record them; replays read the recording
+ * 
+ * @returns {number[]} - Packed input per player
+ */
+function nextInput() {
+    if (replay) {
+        return replay.inputs.map(stream => stream[tickCount] || 0);
+    }
+    return cats.map(cat => {
+        const input = readInput(cat.player);
+        recordedInputs[cat.player].push(input);
+        return input;
+    });
+}
+
+/**
+ * Reset the frame clocks for a fresh run
+ */
+function resetTiming() {
+    accumulator = 0;
+    lastFrameTime = performance.now();
+}
+
+// ===== GAME STATE MANAGEMENT =====
+
+/**
+ * Start a run with the given seed in the core and reset the presentation
+ * Shared by new games and replays so both start from identical state
+ * 
+ * @param {number} seed - Seed for the run's random number generator
+ * @param {Object} setup - Run setup
+ * @param {string} setup.theme - World theme key, or 'random' to pick one from the seed
+ * @param {Object|null} [setup.map] - Custom map to play instead of a generated one
+ * @param {number} [setup.players] - Number of cats (2 for co-op)
+ * @param {string} [setup.variant] - 'standard' or 'horde'
+ * @param {boolean} [setup.night] - Play in night mode (lighting only; scored separately)
+ * @param {Object|null} [setup.benchmark] - Benchmark horde, see createGame()
+ */
+function resetRun(seed, { theme, map = null, players = 1, variant = 'standard', night = false, benchmark: horde = null }) {
+    runMode = getGameMode(players, variant, night);
+    nightMode = night;
+    createGame({
+        seed: seed,
+        theme: theme,
+        map: map,
+        players: players,
+        variant: variant,
+        highScore: saveData.highScores[runMode] || 0,
+        benchmark: horde,
+        onEvent: gameEvents.emit
+    });
+    benchmark = null;
+    clearEffects();
+    resetTiming();
+    snapCamera();
+    runEnded = false;
+
+    // Update UI elements
+    updateHud();
+    gameOverElement.style.display = 'none';
+}
+
+/**
+ * Every simulation event, plus the shell's own, goes through this bus so sound,
+ * effects, records and achievements can each listen for what they need
+ */
+const gameEvents = createEventBus({
+    ...GAME_EVENTS,
+    achievementUnlocked: ['achievement'] // An achievement was unlocked for the first time
+});
+
+/**
+ * React to an event from the simulation core with sound, effects and records
+ * 
+ * @param {string} type - Event name (see the core's GAME_EVENTS)
+ * @param {Object} detail - Event data
+ */
+function handleGameEvent(type, detail) {
+    switch (type) {
+        case 'ghostSpawned': {
+            const spawnSound = ENEMY_TYPES[detail.enemy.type].spawnSound;
+            if (spawnSound) {
+                playSound(spawnSound);
+            }
+            break;
+        }
+        case 'ghostHit':
+            spawnBurst(detail.enemy.x, detail.enemy.y, EFFECTS_CONFIG.catchPuff,
+                getEnemyGlow(ENEMY_TYPES[detail.enemy.type]));
+            break;
+        case 'ghostCaught': {
+            playSound('catch');
+            catCatchTimes[detail.cat.player] = simulationTime;
+            const multiplier = detail.multiplier > 1 ? ` x${detail.multiplier}` : '';
+            const closeCall = detail.closeCall ? ' Close call!' : '';
+            playCatchEffects(detail.enemy, `+${detail.points}${multiplier}${closeCall}`, detail.cat);
+            break;
+        }
+        case 'bonus': {
+            const label = detail.kind === 'survival' ? 'Survival' : 'No damage';
+            spawnPopup(owner.x, owner.y - 40, `${label} +${detail.points}`, EFFECTS_CONFIG.popup.bonusColor);
+            break;
+        }
+        case 'charmUsed':
+            spawnBurst(owner.x, owner.y, EFFECTS_CONFIG.catchPuff, POWERUP_TYPES.charm.color);
+            break;
+        case 'ownerHit':
+            playSound('ownerHit');
+            playOwnerHitEffects();
+            announce(`Your owner was hit! ${detail.lives} ${detail.lives === 1 ? 'life' : 'lives'} left.`);
+            break;
+        case 'highScore':
+            // Replays and benchmarks never touch saved records, and slowed runs don't set high scores
+            if (replay || benchmark || runSpeed < 1) break;
+            if (detail.recordBroken) {
+                playSound('highScore');
+                announce(`New high score: ${detail.score}!`);
+            }
+            saveData.highScores[runMode] = detail.score;
+            writeSaveData();
+            break;
+        case 'gameOver':
+            announce(`Game over. Final score ${detail.score}.`);
+            endRun();
+            break;
+    }
+}
+
+// Sound, effects and records hear every event before other listeners
+for (let type in GAME_EVENTS) {
+    gameEvents.on(type, detail => handleGameEvent(type, detail));
+}
+
+/**
+ * Restart game with fresh state
+ * Resets all game variables and starts new game loop
+ */
+function restartGame() {
+    stopReplay();
+    benchmarkReportElement.style.display = 'none';
+    runSpeed = accessibility.gameSpeed;
+    resetRun(generateSeed(), getSelectedSetup());
+    recordedInputs = cats.map(() => []);
+    startScreenElement.style.display = 'none';
+    document.activeElement.blur(); // Keep Space from re-pressing the start button
+    startLoop();
+}
+
+/**
+ * Start new game from initial state
+ * Used for first-time game start
+ */
+function startGame() {
+    restartGame();
+}
+
+/**
+ * Finish the current run once the owner has no lives left
+ * Live runs show the game over screen and keep their recording;
+ * replays simply stop at the final tick so they can still be scrubbed
+ */
+function endRun() {
+    if (runEnded) return; // Records and the game over screen happen once per run
+    runEnded = true;
+    stopMusic();
+    playSound('gameOver');
+    if (replay) {
+        replay.paused = true;
+        return;
+    }
+
+    const rank = recordRun();
+    clearSavedRun(); // A lost run can't be continued
+    gameOverElement.style.display = 'block';
+    finalScoreElement.textContent = score;
+    showScoreBreakdown();
+    const rankText = rank > 0 ? `#${rank} on the leaderboard!` : '';
+    const speedText = runSpeed < 1 ? `Played at ${formatSpeed(runSpeed)} speed, so no high score.` : '';
+    finalRankElement.textContent = [rankText, speedText].filter(Boolean).join(' ');
+    editMapButton.style.display = runMap ? 'inline-block' : 'none';
+    updateTouchControls();
+    saveRunReplay();
+}
+
+/**
+ * Game mode a run is scored under
+ * 
+ * @param {number} players - Number of cats
+ * @param {string} [variant] - 'standard' or 'horde'
+ * @param {boolean} [night] - Whether the run is played in night mode
+ * @returns {string} - Key into GAME_MODES
+ */
+function getGameMode(players, variant = 'standard', night = false) {
+    let mode = players > 1 ? 'coop' : 'solo';
+    if (variant === 'horde') {
+        mode = players > 1 ? 'hordeCoop' : 'horde';
+    }
+    return night ? GAME_MODES[mode].night : mode;
+}
+
+/**
+ * Run setup chosen on the start screen
+ * 
+ * @returns {Object} - Setup for resetRun()
+ */
+function getSelectedSetup() {
+    const theme = themeSelectElement.value;
+    return {
+        theme: theme,
+        map: theme === 'custom' ? customMap : null,
+        players: parseInt(playersSelectElement.value) || 1,
+        variant: variantSelectElement.value === 'horde' ? 'horde' : 'standard',
+        night: lightingSelectElement.value === 'night'
+    };
+}
+
+/**
+ * Add a finished live run to the leaderboard and lifetime statistics
+ * 
+ * @returns {number} - The run's leaderboard place (1-based), or 0 if it missed the board
+ */
+function recordRun() {
+    const stats = saveData.stats;
+    stats.runs++;
+    stats.livesLost += runStats.livesLost;
+    stats.playTime += simulationTime;
+    stats.longestSurvival = Math.max(stats.longestSurvival, simulationTime);
+    for (let type in runStats.caught) {
+        stats.ghostsCaught[type] = (stats.ghostsCaught[type] || 0) + runStats.caught[type];
+    }
+
+    // Pointless runs don't crowd the leaderboard
+    if (score === 0) {
+        writeSaveData();
+        return 0;
+    }
+
+    const entry = {
+        name: saveData.playerName,
+        score: score,
+        date: new Date().toISOString(),
+        duration: simulationTime,
+        mode: runMode,
+        wave: wave.number,
+        speed: runSpeed
+    };
+    saveData.leaderboard = sortLeaderboard([...saveData.leaderboard, entry]);
+    writeSaveData();
+    return saveData.leaderboard.indexOf(entry) + 1;
+}
+
+// ===== REPLAY SYSTEM =====
+
+/**
+ * Replay storage and playback configuration
+ * A replay is the run's seed plus every player's input for every tick;
+ * playing it back re-simulates the run from scratch
+ */
+const REPLAY_VERSION = 14;          // Bump whenever simulation rules change
+const REPLAY_SPEEDS = [1, 2, 4];    // Playback speeds cycled by the speed button
+const LAST_REPLAY_KEY = 'KuroNeko_LastReplay';
+const BEST_REPLAY_KEY = 'KuroNeko_BestReplay';
+
+let recordedInputs = [];  // Per player, the packed input of every tick in the current live run
+let replay = null;        // Active replay player state, or null during live play
+let fastForwarding = false; // True while a replay seek re-simulates ticks; they play no sounds or effects
+
+// Replay UI elements
+const replayControlsElement = document.getElementById('replayControls');
+const replayPauseButton = document.getElementById('replayPauseBtn');
+const replaySpeedButton = document.getElementById('replaySpeedBtn');
+const replayScrubElement = document.getElementById('replayScrub');
+const replayTimeElement = document.getElementById('replayTime');
+const replayFileInput = document.getElementById('replayFileInput');
+
+/**
+ * Compress per-tick inputs into [input, count] runs
+ * Held keys produce long identical stretches, so this shrinks replays a lot
+ * 
+ * @param {number[]} inputs - Input bitmask per tick
+ * @returns {number[][]} - Run-length encoded inputs
+ */
+function encodeInputs(inputs) {
+    const runs = [];
+    for (let input of inputs) {
+        const last = runs[runs.length - 1];
+        if (last && last[0] === input) {
+            last[1]++;
+        } else {
+            runs.push([input, 1]);
+        }
+    }
+    return runs;
+}
+
+/**
+ * Expand [input, count] runs back into one input per tick
+ * 
+ * @param {number[][]} runs - Run-length encoded inputs
+ * @returns {number[]} - Input bitmask per tick
+ */
+function decodeInputs(runs) {
+    const inputs = [];
+    for (let [input, count] of runs) {
+        for (let i = 0; i < count; i++) {
+            inputs.push(input);
+        }
+    }
+    return inputs;
+}
+
+/**
+ * Package the finished live run as a replay
+ * 
+ * @returns {Object} - Serializable replay data
+ */
+function createReplayData() {
+    return {
+        version: REPLAY_VERSION,
+        seed: runSeed,
+        theme: worldTheme,
+        map: runMap ? serializeMap(runMap) : null,
+        players: playerCount,
+        variant: runVariant,
+        night: nightMode,
+        ticks: recordedInputs[0].length,
+        score: score,
+        date: new Date().toISOString(),
+        inputs: recordedInputs.map(encodeInputs)
+    };
+}
+
+/**
+ * Store the finished run as the last replay, and as the best replay
+ * when it set the high score
+ */
+function saveRunReplay() {
+    const data = JSON.stringify(createReplayData());
+    localStorage.setItem(LAST_REPLAY_KEY, data);
+    if (newHighScore && runSpeed === 1) {
+        localStorage.setItem(BEST_REPLAY_KEY, data);
+    }
+}
+
+/**
+ * Read a replay saved in localStorage
+ * 
+ * @param {string} key - Storage key
+ * @returns {Object|null} - Replay data, or null if missing or unreadable
+ */
+function loadStoredReplay(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Begin watching a replay
+ * 
+ * @param {Object} data - Replay data as produced by createReplayData()
+ */
+function startReplay(data) {
+    if (!data || data.version !== REPLAY_VERSION || !Array.isArray(data.inputs) || data.inputs.length === 0) {
+        alert('This replay was recorded with a different version of the game and cannot be played.');
+        return;
+    }
+
+    let map = null;
+    try {
+        map = data.map ? parseMap(data.map) : null;
+    } catch (error) {
+        alert(`The map in this replay is invalid: ${error.message}`);
+        return;
+    }
+
+    const inputs = data.inputs.map(decodeInputs);
+    replay = {
+        data: data,
+        setup: { theme: data.theme, map: map, players: inputs.length, variant: data.variant, night: Boolean(data.night) },
+        inputs: inputs,
+        ticks: inputs[0].length,
+        paused: false,
+        speedIndex: 0
+    };
+    resetRun(data.seed, replay.setup);
+    startScreenElement.style.display = 'none';
+    replayControlsElement.style.display = 'flex';
+    replayScrubElement.max = replay.ticks;
+    startLoop();
+}
+
+/**
+ * Leave replay mode without touching the on-screen overlays
+ */
+function stopReplay() {
+    replay = null;
+    replayControlsElement.style.display = 'none';
+}
+
+/**
+ * Leave replay mode and return to the start screen
+ */
+function exitReplay() {
+    stopReplay();
+    stopMusic();
+    stopGame();
+    gameOverElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+}
+
+/**
+ * Speed multiplier applied to real time while a replay is playing
+ * 
+ * @returns {number} - 0 when paused or finished, otherwise the playback speed
+ */
+function replayTimeScale() {
+    if (replay.paused || tickCount >= replay.ticks) {
+        return 0;
+    }
+    return REPLAY_SPEEDS[replay.speedIndex];
+}
+
+/**
+ * Jump the replay to a specific tick by re-simulating from the seed
+ * 
+ * @param {number} targetTick - Tick to seek to
+ */
+function seekReplay(targetTick) {
+    resetRun(replay.data.seed, replay.setup);
+    fastForwarding = true; // Skipped ticks stay silent
+    while (tickCount < targetTick && gameRunning) {
+        step(nextInput());
+    }
+    fastForwarding = false;
+    clearEffects();
+    storePreviousPositions(); // Don't interpolate across the jump
+}
+
+/**
+ * Format a tick count as m:ss
+ * 
+ * @param {number} ticks - Number of simulation ticks
+ * @returns {string} - Human readable duration
+ */
+function formatTicks(ticks) {
+    return formatDuration(ticks / TICK_RATE);
+}
+
+/**
+ * Format a duration as m:ss, or h:mm:ss from an hour up
+ * 
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} - Human readable duration
+ */
+function formatDuration(totalSeconds) {
+    const whole = Math.floor(totalSeconds);
+    const pad = value => (value < 10 ? '0' : '') + value;
+    const hours = Math.floor(whole / 3600);
+    const minutes = Math.floor(whole / 60) % 60;
+    if (hours > 0) {
+        return `${hours}:${pad(minutes)}:${pad(whole % 60)}`;
+    }
+    return `${minutes}:${pad(whole % 60)}`;
+}
+
+/**
+ * Sync the playback controls with the replay position
+ */
+function updateReplayControls() {
+    if (!replay.scrubbing) {
+        replayScrubElement.value = tickCount;
+    }
+    replayTimeElement.textContent = `${formatTicks(tickCount)} / ${formatTicks(replay.ticks)}`;
+    replayPauseButton.textContent = replay.paused ? 'Play' : 'Pause';
+    replaySpeedButton.textContent = `${REPLAY_SPEEDS[replay.speedIndex]}x`;
+}
+
+/**
+ * Toggle replay pause, restarting from the beginning if it already finished
+ */
+function toggleReplayPause() {
+    if (!replay) return;
+    if (replay.paused && tickCount >= replay.ticks) {
+        seekReplay(0);
+    }
+    replay.paused = !replay.paused;
+}
+
+/**
+ * Cycle through the available replay playback speeds
+ */
+function cycleReplaySpeed() {
+    if (!replay) return;
+    replay.speedIndex = (replay.speedIndex + 1) % REPLAY_SPEEDS.length;
+}
+
+/**
+ * Watch the replay of the run that just ended
+ */
+function watchLastReplay() {
+    gameOverElement.style.display = 'none';
+    startReplay(loadStoredReplay(LAST_REPLAY_KEY));
+}
+
+/**
+ * Watch the stored high score run
+ */
+function watchBestReplay() {
+    const data = loadStoredReplay(BEST_REPLAY_KEY);
+    if (!data) {
+        alert('No high score run has been recorded yet.');
+        return;
+    }
+    startReplay(data);
+}
+
+/**
+ * Save JSON text as a file through the browser's download
+ * 
+ * @param {string} json - File contents
+ * @param {string} filename - Suggested file name
+ */
+function downloadJson(json, filename) {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download the last run's replay as a JSON file for sharing
+ */
+function downloadReplay() {
+    const data = localStorage.getItem(LAST_REPLAY_KEY);
+    if (!data) return;
+    downloadJson(data, `kuroneko-replay-${runSeed}.json`);
+}
+
+// Scrubbing - preview the time while dragging, seek on release
+replayScrubElement.addEventListener('input', () => {
+    if (!replay) return;
+    replay.scrubbing = true;
+    replayTimeElement.textContent = `${formatTicks(replayScrubElement.value)} / ${formatTicks(replay.ticks)}`;
+});
+replayScrubElement.addEventListener('change', () => {
+    if (!replay) return;
+    replay.scrubbing = false;
+    seekReplay(parseInt(replayScrubElement.value));
+});
+
+// Loading a shared replay file
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            startReplay(JSON.parse(reader.result));
+        } catch (error) {
+            alert('That file is not a valid Kuro Neko replay.');
+        }
+    };
+    reader.readAsText(file);
+    replayFileInput.value = ''; // Allow loading the same file again
+});
+
+// ===== BENCHMARK =====
+
+/**
+ * Built-in benchmark
+ * Fills a fixed-seed world with a steady number of ghosts and measures how
+ * long the simulation and the renderer take per frame. The owner can't lose
+ * lives, and ghosts that reach it are replaced so the count stays constant.
+ * Also available as ?benchmark=N in the page URL
+ */
+const BENCHMARK_CONFIG = {
+    seed: 20240601,
+    duration: 10,                  // Simulated seconds measured
+    minSpawnDistance: 300,         // Ghosts start at least this far from the owner
+    mix: { ghost: 6, red: 2, phantom: 1, circler: 1 } // Relative share of each enemy type
+};
+
+let benchmark = null;  // Running benchmark state, or null
+
+const benchmarkReportElement = document.getElementById('benchmarkReport');
+const benchmarkResultsElement = document.getElementById('benchmarkResults');
+const benchmarkCountElement = document.getElementById('benchmarkCount');
+
+/**
+ * Start a benchmark run
+ * 
+ * @param {number} [count] - Ghosts kept alive during the run (defaults to the one picked in Settings)
+ */
+function startBenchmark(count = parseInt(benchmarkCountElement.value)) {
+    stopReplay();
+    resetRun(BENCHMARK_CONFIG.seed, {
+        theme: 'field',
+        benchmark: { count: count, mix: BENCHMARK_CONFIG.mix, minSpawnDistance: BENCHMARK_CONFIG.minSpawnDistance }
+    });
+    recordedInputs = cats.map(() => []);
+    benchmark = {
+        count: count,
+        simTimes: [],              // Milliseconds simulating, per rendered frame
+        renderTimes: []            // Milliseconds drawing, per rendered frame
+    };
+
+    startScreenElement.style.display = 'none';
+    settingsScreenElement.style.display = 'none';
+    benchmarkReportElement.style.display = 'none';
+    document.activeElement.blur();
+    startLoop();
+}
+
+/**
+ * Record one rendered frame's timings, finishing once enough time is simulated
+ * 
+ * @param {number} simTime - Milliseconds spent simulating this frame
+ * @param {number} renderTime - Milliseconds spent drawing this frame
+ */
+function recordBenchmarkFrame(simTime, renderTime) {
+    benchmark.simTimes.push(simTime);
+    benchmark.renderTimes.push(renderTime);
+    if (simulationTime >= BENCHMARK_CONFIG.duration) {
+        finishBenchmark();
+    }
+}
+
+/**
+ * Average, 95th percentile and worst of a list of timings
+ * 
+ * @param {number[]} times - Milliseconds
+ * @returns {{average: number, p95: number, max: number}}
+ */
+function summarizeTimes(times) {
+    const sorted = times.slice().sort((a, b) => a - b);
+    const total = sorted.reduce((sum, time) => sum + time, 0);
+    return {
+        average: sorted.length ? total / sorted.length : 0,
+        p95: sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+        max: sorted.length ? sorted[sorted.length - 1] : 0
+    };
+}
+
+/**
+ * Stop the benchmark and show its report
+ */
+function finishBenchmark() {
+    stopGame();
+    stopMusic();
+    const sim = summarizeTimes(benchmark.simTimes);
+    const render = summarizeTimes(benchmark.renderTimes);
+    const format = time => `${time.toFixed(2)} ms`;
+    const rows = [
+        ['Ghosts', benchmark.count],
+        ['Frames', benchmark.simTimes.length],
+        ['Ticks per frame', (tickCount / benchmark.simTimes.length).toFixed(2)],
+        ['Simulation (avg / p95 / max)', `${format(sim.average)} / ${format(sim.p95)} / ${format(sim.max)}`],
+        ['Render (avg / p95 / max)', `${format(render.average)} / ${format(render.p95)} / ${format(render.max)}`]
+    ];
+
+    benchmarkResultsElement.innerHTML = '';
+    for (let [label, value] of rows) {
+        const row = document.createElement('tr');
+        const name = document.createElement('td');
+        const result = document.createElement('td');
+        name.textContent = label;
+        result.textContent = value;
+        row.append(name, result);
+        benchmarkResultsElement.appendChild(row);
+    }
+    benchmarkReportElement.style.display = 'block';
+}
+
+/**
+ * Run the benchmark again with the same ghost count
+ */
+function rerunBenchmark() {
+    startBenchmark(benchmark.count);
+}
+
+/**
+ * Leave the benchmark report for the start screen
+ */
+function closeBenchmark() {
+    benchmark = null;
+    benchmarkReportElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+}
+
+/**
+ * Draw the live timings while benchmarking
+ */
+function drawBenchmarkOverlay() {
+    const frames = benchmark.simTimes.length;
+    const recent = list => list.slice(-30).reduce((sum, time) => sum + time, 0) / Math.min(30, list.length || 1);
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(10, 10, 330, 28);
+    ctx.font = '14px "Courier New", monospace';
+    ctx.fillStyle = '#4ecdc4';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`Benchmark ${enemies.length} ghosts • sim ${recent(benchmark.simTimes).toFixed(2)} ms • ` +
+        `draw ${frames ? recent(benchmark.renderTimes).toFixed(2) : '-'} ms`, 18, 24);
+    ctx.restore();
+}
+
+// Run straight away when the page is opened with ?benchmark=N
+const benchmarkParam = new URLSearchParams(location.search).get('benchmark');
+if (benchmarkParam !== null) {
+    assetsLoaded.then(() => startBenchmark(parseInt(benchmarkParam) || 500));
+}
+
+// ===== PAUSE & SAVED RUNS =====
+
+/**
+ * Pausing and continuing runs later
+ * A live run pauses with Esc or P, from the touch pause button, or by itself
+ * when the page is hidden or loses focus. Simulated time only advances while
+ * the loop runs, so waves, power-ups and effects all stop with it. Every
+ * pause also stores a snapshot of the run, which "Continue" on the start
+ * screen picks up again - even after the browser was closed
+ */
+const SAVED_RUN_KEY = 'KuroNeko_SavedRun';
+
+let paused = false;  // True while a live run is paused
+
+const pauseMenuElement = document.getElementById('pauseMenu');
+const pauseStatusElement = document.getElementById('pauseStatus');
+const continueButton = document.getElementById('continueBtn');
+
+/**
+ * Whether the current run is a live one that can be paused
+ * 
+ * @returns {boolean}
+ */
+function canPause() {
+    return gameRunning && !replay && !benchmark && !editor;
+}
+
+/**
+ * Pause the live run, store it, and show the pause menu
+ */
+function pauseGame() {
+    if (paused || !canPause()) return;
+    paused = true;
+    cancelAnimationFrame(animationFrameId);
+    stopMusic();
+    pauseStatusElement.textContent = saveRun()
+        ? 'Esc or P to resume. Your run is saved, so you can also continue it later.'
+        : 'Esc or P to resume. Your run could not be saved here (browser storage is full or blocked), ' +
+            'so quitting ends it.';
+    for (const code in keys) keys[code] = false; // Their keyup may never arrive once focus is gone
+    pauseMenuElement.style.display = 'block';
+    updateTouchControls();
+}
+
+/**
+ * Carry on with the paused run
+ */
+function resumeGame() {
+    if (!paused) return;
+    paused = false;
+    pauseMenuElement.style.display = 'none';
+    document.activeElement.blur(); // Keep Space from re-pressing the resume button
+    updateTouchControls();
+    startLoop(); // Restarts the frame clock, so the paused time is never simulated
+}
+
+/**
+ * Pause or resume the live run
+ */
+function togglePause() {
+    if (paused) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+/**
+ * Leave the paused run for the start screen; it stays saved for "Continue"
+ */
+function saveAndQuit() {
+    paused = false;
+    stopGame();
+    pauseMenuElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+    updateTouchControls();
+    updateContinueButton();
+    showSelectedHighScore();
+}
+
+/**
+ * Store a snapshot of the live run, with its recording so the replay of a
+ * continued run still covers it from the start
+ * 
+ * @returns {boolean} - False if the browser refused to store it
+ */
+function saveRun() {
+    const data = {
+        replayVersion: REPLAY_VERSION,
+        date: new Date().toISOString(),
+        night: nightMode,
+        speed: runSpeed,
+        achievementRun: achievementRun,
+        game: serializeGame(),
+        inputs: recordedInputs.map(encodeInputs)
+    };
+    try {
+        localStorage.setItem(SAVED_RUN_KEY, JSON.stringify(data));
+        return true;
+    } catch (error) {
+        clearSavedRun(); // An earlier snapshot of this run would continue from the wrong place
+        return false;
+    }
+}
+
+/**
+ * Read the saved run, ignoring anything unreadable or from another version
+ * 
+ * @returns {Object|null} - Saved run data, or null
+ */
+function loadSavedRun() {
+    try {
+        const data = JSON.parse(localStorage.getItem(SAVED_RUN_KEY));
+        if (data && data.replayVersion === REPLAY_VERSION && data.game && data.game.version === SNAPSHOT_VERSION &&
+            Array.isArray(data.inputs)) {
+            return data;
+        }
+    } catch (error) {
+        // Fall through - treated as no saved run
+    }
+    return null;
+}
+
+/**
+ * Forget the saved run
+ */
+function clearSavedRun() {
+    localStorage.removeItem(SAVED_RUN_KEY);
+    updateContinueButton();
+}
+
+/**
+ * Continue the saved run where it was left
+ */
+function continueSavedRun() {
+    const data = loadSavedRun();
+    if (!data) {
+        alert('The saved game can no longer be continued.');
+        clearSavedRun();
+        return;
+    }
+
+    stopReplay();
+    try {
+        restoreGame(data.game, gameEvents.emit);
+    } catch (error) {
+        alert(error.message);
+        clearSavedRun();
+        return;
+    }
+    runMode = getGameMode(data.game.players, data.game.variant, Boolean(data.night));
+    nightMode = Boolean(data.night);
+    recordedInputs = data.inputs.map(decodeInputs);
+    // Slowing down before continuing counts too
+    runSpeed = Math.min(data.speed || 1, accessibility.gameSpeed);
+    achievementRun = { ...createAchievementRun(), ...data.achievementRun };
+    benchmark = null;
+    clearEffects();
+    resetTiming();
+    snapCamera();
+    runEnded = false;
+    updateHud();
+    clearSavedRun(); // Pausing again saves it afresh
+
+    startScreenElement.style.display = 'none';
+    gameOverElement.style.display = 'none';
+    document.activeElement.blur();
+    startLoop();
+}
+
+/**
+ * Offer the saved run on the start screen, if there is one
+ */
+function updateContinueButton() {
+    const data = loadSavedRun();
+    continueButton.style.display = data ? '' : 'none';
+    if (data) {
+        const mode = getGameMode(data.game.players, data.game.variant, Boolean(data.night));
+        continueButton.textContent = `Continue (${GAME_MODES[mode].label}, ` +
+            `wave ${data.game.wave.number}, score ${data.game.score})`;
+    }
+}
+
+// Pause automatically when the player looks away
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+});
+window.addEventListener('blur', pauseGame);
+
+// Esc or P pauses and resumes (P only while it isn't bound to an action)
+document.addEventListener('keydown', (e) => {
+    if (e.repeat || rebinding) return;
+    if (e.code === 'Escape' || (e.code === 'KeyP' && !isBoundKey(e.code))) {
+        if (paused || canPause()) {
+            e.preventDefault();
+            togglePause();
+        }
+    }
+});
+document.getElementById('touchPause').addEventListener('click', pauseGame);
+
+updateContinueButton();
+
+// ===== LEVEL EDITOR =====
+
+/**
+ * Level editor configuration
+ * The editor works on the game canvas with its own pannable camera. The map
+ * being edited is kept in normalized map form, so export, import and
+ * play-testing all go through parseMap/serializeMap
+ */
+const EDITOR_CONFIG = {
+    snap: 10,              // Grid snap for placing, moving and resizing (pixels)
+    panSpeed: 900,         // Keyboard panning speed (pixels per second)
+    panMargin: 200,        // How far past the world edge the camera may pan (pixels)
+    handleSize: 12,        // Resize handle size (pixels)
+    pickRadius: 18,        // Click distance for selecting points (pixels)
+    clickSize: 60          // Size of an obstacle placed with a single click (pixels)
+};
+
+let editor = null;  // Active editor state, or null when not editing
+
+// Editor UI elements
+const editorPanelElement = document.getElementById('editorPanel');
+const editorKindElement = document.getElementById('editorKind');
+const editorNameElement = document.getElementById('editorName');
+const editorWidthElement = document.getElementById('editorWidth');
+const editorHeightElement = document.getElementById('editorHeight');
+const editorStatusElement = document.getElementById('editorStatus');
+const editorToolButtons = document.querySelectorAll('[data-editor-tool]');
+const editorEdgeInputs = document.querySelectorAll('[data-editor-edge]');
+const mapFileInput = document.getElementById('mapFileInput');
+const editMapButton = document.getElementById('editMapBtn');
+
+/**
+ * Open the editor on the saved custom map, or on a blank map
+ */
+function openEditor() {
+    stopReplay();
+    stopGame();
+    cancelAnimationFrame(animationFrameId);
+    startScreenElement.style.display = 'none';
+    gameOverElement.style.display = 'none';
+    editorPanelElement.style.display = 'flex';
+    updateTouchControls();
+    setCameraZoom(1);
+
+    editor = {
+        map: customMap ? parseMap(serializeMap(customMap)) : createBlankMap(),
+        tool: 'select',
+        selection: null,   // { type: 'obstacle' | 'point' | 'cat' | 'owner', index }
+        drag: null,        // Current mouse drag, see onEditorMouseDown
+        pan: null,         // Right-drag panning anchor
+        mouse: { x: 0, y: 0 }
+    };
+    centerEditorCamera();
+    syncEditorPanel();
+    setEditorTool('select');
+
+    lastFrameTime = performance.now();
+    animationFrameId = requestAnimationFrame(editorFrame);
+}
+
+/**
+ * Leave the editor, keeping the map as the custom map if it is valid
+ */
+function closeEditor() {
+    const map = validateEditorMap();
+    if (map) {
+        saveCustomMap(map);
+    } else if (!confirm('The map has errors and will not be saved. Leave the editor anyway?')) {
+        return;
+    }
+
+    editor = null;
+    cancelAnimationFrame(animationFrameId);
+    editorPanelElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+    draw();
+}
+
+/**
+ * Start over with a blank map
+ */
+function newEditorMap() {
+    if (!confirm('Discard this map and start a new one?')) return;
+    editor.map = createBlankMap();
+    editor.selection = null;
+    centerEditorCamera();
+    syncEditorPanel();
+}
+
+/**
+ * Check the map being edited, showing the problem if there is one
+ * 
+ * @returns {Object|null} - Normalized copy of the map, or null if it is invalid
+ */
+function validateEditorMap() {
+    try {
+        const map = parseMap(serializeMap(editor.map));
+        editorStatusElement.textContent = '';
+        return map;
+    } catch (error) {
+        editorStatusElement.textContent = error.message;
+        return null;
+    }
+}
+
+/**
+ * Download the map being edited as a JSON file
+ */
+function exportEditorMap() {
+    const map = validateEditorMap();
+    if (!map) return;
+
+    const slug = map.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'map';
+    downloadJson(JSON.stringify(serializeMap(map), null, 2), `kuroneko-map-${slug}.json`);
+}
+
+/**
+ * Save the map and start a run on it
+ */
+function playTestMap() {
+    const map = validateEditorMap();
+    if (!map) return;
+
+    saveCustomMap(map);
+    editor = null;
+    editorPanelElement.style.display = 'none';
+    themeSelectElement.value = 'custom';
+    startGame();
+}
+
+/**
+ * Point the editor camera at the middle of the cat and owner starts
+ */
+function centerEditorCamera() {
+    const map = editor.map;
+    camera.x = (map.cat.x + map.owner.x) / 2 - CANVAS_WIDTH / 2;
+    camera.y = (map.cat.y + map.owner.y) / 2 - CANVAS_HEIGHT / 2;
+    clampEditorCamera();
+}
+
+/**
+ * Keep the editor camera near the world
+ */
+function clampEditorCamera() {
+    const margin = EDITOR_CONFIG.panMargin;
+    camera.x = Math.max(-margin, Math.min(camera.x, editor.map.world.width - CANVAS_WIDTH + margin));
+    camera.y = Math.max(-margin, Math.min(camera.y, editor.map.world.height - CANVAS_HEIGHT + margin));
+}
+
+/**
+ * Copy the map's settings into the panel's fields
+ */
+function syncEditorPanel() {
+    const map = editor.map;
+    editorNameElement.value = map.name;
+    editorWidthElement.value = map.world.width;
+    editorHeightElement.value = map.world.height;
+    editorEdgeInputs.forEach(input => {
+        input.checked = map.spawns.edges.includes(input.dataset.editorEdge);
+    });
+    editorStatusElement.textContent = '';
+}
+
+/**
+ * Switch the active editor tool
+ * 
+ * @param {string} tool - 'select', 'obstacle', 'spawn', 'cat' or 'owner'
+ */
+function setEditorTool(tool) {
+    editor.tool = tool;
+    editorToolButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.editorTool === tool);
+    });
+}
+
+/**
+ * Round a world coordinate to the editor grid
+ * 
+ * @param {number} value - World coordinate
+ * @returns {number} - Snapped coordinate
+ */
+function snapToGrid(value) {
+    return Math.round(value / EDITOR_CONFIG.snap) * EDITOR_CONFIG.snap;
+}
+
+/**
+ * Convert a mouse event to canvas and world coordinates
+ * The canvas may be scaled by CSS, so client pixels are mapped back first
+ * 
+ * @param {MouseEvent} event - Mouse event
+ * @returns {Object} - { screenX, screenY, x, y }
+ */
+function getEditorPointer(event) {
+    const rect = canvas.getBoundingClientRect();
+    const screenX = (event.clientX - rect.left) * (CANVAS_WIDTH / rect.width);
+    const screenY = (event.clientY - rect.top) * (CANVAS_HEIGHT / rect.height);
+    return { screenX: screenX, screenY: screenY, x: screenX + camera.x, y: screenY + camera.y };
+}
+
+/**
+ * Clamp a point into the world
+ * 
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {number} [margin] - Distance to keep from the edges
+ * @returns {Object} - Clamped { x, y }
+ */
+function clampToEditorWorld(x, y, margin = 0) {
+    return {
+        x: Math.max(margin, Math.min(x, editor.map.world.width - margin)),
+        y: Math.max(margin, Math.min(y, editor.map.world.height - margin))
+    };
+}
+
+/**
+ * Distance an editor item has to keep from the world edges
+ * The cat and owner starts need room to move (see MAP_LIMITS.startMargin)
+ * 
+ * @param {string} type - Selection type
+ * @returns {number}
+ */
+function getEditorMargin(type) {
+    return type === 'cat' || type === 'owner' ? MAP_LIMITS.startMargin : 0;
+}
+
+/**
+ * Find what is under the pointer: starts and spawn points first, since they
+ * sit on top, then obstacles from the top-most down
+ * 
+ * @param {Object} pointer - World position
+ * @returns {Object|null} - Selection, or null
+ */
+function pickEditorItem(pointer) {
+    const map = editor.map;
+    const near = point => Math.hypot(point.x - pointer.x, point.y - pointer.y) <= EDITOR_CONFIG.pickRadius;
+
+    if (near(map.cat)) return { type: 'cat' };
+    if (near(map.owner)) return { type: 'owner' };
+    for (let i = map.spawns.points.length - 1; i >= 0; i--) {
+        if (near(map.spawns.points[i])) return { type: 'point', index: i };
+    }
+    for (let i = map.obstacles.length - 1; i >= 0; i--) {
+        const obstacle = map.obstacles[i];
+        if (pointer.x >= obstacle.x && pointer.x <= obstacle.x + obstacle.width &&
+            pointer.y >= obstacle.y && pointer.y <= obstacle.y + obstacle.height) {
+            return { type: 'obstacle', index: i };
+        }
+    }
+    return null;
+}
+
+/**
+ * Look up the position object behind a selection
+ * 
+ * @param {Object} selection - Selection from pickEditorItem
+ * @returns {Object} - Obstacle or point, edited in place
+ */
+function getSelectedItem(selection) {
+    const map = editor.map;
+    switch (selection.type) {
+        case 'obstacle': return map.obstacles[selection.index];
+        case 'point': return map.spawns.points[selection.index];
+        default: return map[selection.type];
+    }
+}
+
+/**
+ * Whether the pointer is on the resize handle of the selected obstacle
+ * 
+ * @param {Object} pointer - World position
+ * @returns {boolean}
+ */
+function isOnResizeHandle(pointer) {
+    if (!editor.selection || editor.selection.type !== 'obstacle') return false;
+    const obstacle = getSelectedItem(editor.selection);
+    return Math.abs(pointer.x - (obstacle.x + obstacle.width)) <= EDITOR_CONFIG.handleSize &&
+           Math.abs(pointer.y - (obstacle.y + obstacle.height)) <= EDITOR_CONFIG.handleSize;
+}
+
+/**
+ * Remove the selected obstacle or spawn point
+ * The cat and owner starts can only be moved
+ */
+function deleteEditorSelection() {
+    const selection = editor.selection;
+    if (!selection) return;
+    if (selection.type === 'obstacle') {
+        editor.map.obstacles.splice(selection.index, 1);
+    } else if (selection.type === 'point') {
+        editor.map.spawns.points.splice(selection.index, 1);
+    } else {
+        return;
+    }
+    editor.selection = null;
+}
+
+/**
+ * Begin a mouse action according to the active tool
+ * Right or middle button always pans
+ * 
+ * @param {MouseEvent} event - Mouse event
+ */
+function onEditorMouseDown(event) {
+    const pointer = getEditorPointer(event);
+    const map = editor.map;
+
+    if (event.button !== 0) {
+        editor.pan = { screenX: pointer.screenX, screenY: pointer.screenY, cameraX: camera.x, cameraY: camera.y };
+        return;
+    }
+
+    const snapped = clampToEditorWorld(snapToGrid(pointer.x), snapToGrid(pointer.y));
+    switch (editor.tool) {
+        case 'select': {
+            if (isOnResizeHandle(pointer)) {
+                editor.drag = { mode: 'resize' };
+                return;
+            }
+            editor.selection = pickEditorItem(pointer);
+            if (editor.selection) {
+                const item = getSelectedItem(editor.selection);
+                editor.drag = { mode: 'move', offsetX: pointer.x - item.x, offsetY: pointer.y - item.y };
+                if (editor.selection.type === 'obstacle') {
+                    editorKindElement.value = item.kind;
+                }
+            }
+            break;
+        }
+        case 'obstacle': {
+            map.obstacles.push({
+                x: snapped.x, y: snapped.y, width: 0, height: 0,
+                kind: editorKindElement.value, variant: (map.obstacles.length * 0.618034) % 1
+            });
+            editor.selection = { type: 'obstacle', index: map.obstacles.length - 1 };
+            editor.drag = { mode: 'create', anchorX: snapped.x, anchorY: snapped.y };
+            break;
+        }
+        case 'spawn': {
+            if (map.spawns.points.length >= MAP_LIMITS.maxSpawnPoints) return;
+            map.spawns.points.push(snapped);
+            editor.selection = { type: 'point', index: map.spawns.points.length - 1 };
+            editor.drag = { mode: 'move', offsetX: 0, offsetY: 0 };
+            break;
+        }
+        case 'cat':
+        case 'owner': {
+            map[editor.tool] = clampToEditorWorld(snapped.x, snapped.y, MAP_LIMITS.startMargin);
+            editor.selection = { type: editor.tool };
+            editor.drag = { mode: 'move', offsetX: 0, offsetY: 0 };
+            break;
+        }
+    }
+}
+
+/**
+ * Continue the current pan or drag
+ * 
+ * @param {MouseEvent} event - Mouse event
+ */
+function onEditorMouseMove(event) {
+    const pointer = getEditorPointer(event);
+    editor.mouse = { x: pointer.x, y: pointer.y };
+
+    if (editor.pan) {
+        camera.x = editor.pan.cameraX - (pointer.screenX - editor.pan.screenX);
+        camera.y = editor.pan.cameraY - (pointer.screenY - editor.pan.screenY);
+        clampEditorCamera();
+        return;
+    }
+    if (!editor.drag) return;
+
+    const item = getSelectedItem(editor.selection);
+    const minSize = MAP_LIMITS.minObstacleSize;
+    switch (editor.drag.mode) {
+        case 'move': {
+            const position = clampToEditorWorld(snapToGrid(pointer.x - editor.drag.offsetX),
+                snapToGrid(pointer.y - editor.drag.offsetY), getEditorMargin(editor.selection.type));
+            if (editor.selection.type === 'obstacle') {
+                // Keep the whole rectangle inside the world
+                position.x = Math.min(position.x, editor.map.world.width - item.width);
+                position.y = Math.min(position.y, editor.map.world.height - item.height);
+            }
+            item.x = position.x;
+            item.y = position.y;
+            break;
+        }
+        case 'resize': {
+            item.width = Math.min(Math.max(minSize, snapToGrid(pointer.x) - item.x), editor.map.world.width - item.x);
+            item.height = Math.min(Math.max(minSize, snapToGrid(pointer.y) - item.y), editor.map.world.height - item.y);
+            break;
+        }
+        case 'create': {
+            const corner = clampToEditorWorld(snapToGrid(pointer.x), snapToGrid(pointer.y));
+            item.x = Math.min(editor.drag.anchorX, corner.x);
+            item.y = Math.min(editor.drag.anchorY, corner.y);
+            item.width = Math.abs(corner.x - editor.drag.anchorX);
+            item.height = Math.abs(corner.y - editor.drag.anchorY);
+            break;
+        }
+    }
+}
+
+/**
+ * Finish the current pan or drag
+ * A click with the obstacle tool places an obstacle of the default size
+ */
+function onEditorMouseUp() {
+    if (editor.drag && editor.drag.mode === 'create') {
+        const obstacle = getSelectedItem(editor.selection);
+        if (obstacle.width < MAP_LIMITS.minObstacleSize || obstacle.height < MAP_LIMITS.minObstacleSize) {
+            // Keep the whole rectangle inside the world, as when moving it
+            obstacle.x = Math.min(editor.drag.anchorX, editor.map.world.width - EDITOR_CONFIG.clickSize);
+            obstacle.y = Math.min(editor.drag.anchorY, editor.map.world.height - EDITOR_CONFIG.clickSize);
+            obstacle.width = EDITOR_CONFIG.clickSize;
+            obstacle.height = EDITOR_CONFIG.clickSize;
+        }
+    }
+    editor.drag = null;
+    editor.pan = null;
+}
+
+/**
+ * Apply a new world size from the panel
+ * Starts and spawn points are pulled inside; obstacles that no longer fit are dropped
+ */
+function resizeEditorWorld() {
+    const map = editor.map;
+    const width = Math.round(Number(editorWidthElement.value));
+    const height = Math.round(Number(editorHeightElement.value));
+    map.world.width = Math.max(MAP_LIMITS.minWidth, Math.min(width || map.world.width, MAP_LIMITS.maxWidth));
+    map.world.height = Math.max(MAP_LIMITS.minHeight, Math.min(height || map.world.height, MAP_LIMITS.maxHeight));
+
+    map.cat = clampToEditorWorld(map.cat.x, map.cat.y, MAP_LIMITS.startMargin);
+    map.owner = clampToEditorWorld(map.owner.x, map.owner.y, MAP_LIMITS.startMargin);
+    map.spawns.points = map.spawns.points.map(point => clampToEditorWorld(point.x, point.y));
+    map.obstacles = map.obstacles.filter(obstacle =>
+        obstacle.x + obstacle.width <= map.world.width && obstacle.y + obstacle.height <= map.world.height);
+    editor.selection = null;
+    syncEditorPanel();
+    clampEditorCamera();
+}
+
+/**
+ * Editor frame loop - pans with the movement keys and redraws
+ * 
+ * @param {number} [timestamp] - Frame timestamp supplied by requestAnimationFrame (ms)
+ */
+function editorFrame(timestamp = performance.now()) {
+    if (!editor) return;
+
+    const dt = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+
+    const typing = document.activeElement && ['INPUT', 'SELECT'].includes(document.activeElement.tagName);
+    if (!typing) {
+        const move = getInputMove(readInput());
+        const step = EDITOR_CONFIG.panSpeed * Math.max(0, dt);
+        camera.x += move.x * step;
+        camera.y += move.y * step;
+        clampEditorCamera();
+    }
+
+    drawEditor();
+    animationFrameId = requestAnimationFrame(editorFrame);
+}
+
+/**
+ * Draw the map being edited with its spawn edges, spawn points, starts and
+ * the current selection
+ */
+function drawEditor() {
+    const map = editor.map;
+    const worldRight = map.world.width - camera.x;
+    const worldBottom = map.world.height - camera.y;
+
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    drawGrid();
+
+    // Shade everything outside the world
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, -camera.y);
+    ctx.fillRect(0, worldBottom, CANVAS_WIDTH, CANVAS_HEIGHT - worldBottom);
+    ctx.fillRect(0, 0, -camera.x, CANVAS_HEIGHT);
+    ctx.fillRect(worldRight, 0, CANVAS_WIDTH - worldRight, CANVAS_HEIGHT);
+
+    // Spawn edges
+    ctx.save();
+    ctx.strokeStyle = '#b084ff';
+    ctx.lineWidth = 4;
+    const edgeLines = {
+        top: [-camera.x, -camera.y, worldRight, -camera.y],
+        right: [worldRight, -camera.y, worldRight, worldBottom],
+        bottom: [-camera.x, worldBottom, worldRight, worldBottom],
+        left: [-camera.x, -camera.y, -camera.x, worldBottom]
+    };
+    for (let edge of map.spawns.edges) {
+        const [x1, y1, x2, y2] = edgeLines[edge];
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    }
+    ctx.restore();
+
+    for (let obstacle of map.obstacles) {
+        if (obstacle.width > 0 && obstacle.height > 0) {
+            drawObstacle(obstacle, obstacle.x - camera.x, obstacle.y - camera.y);
+        }
+    }
+
+    // Spawn points
+    for (let point of map.spawns.points) {
+        ctx.save();
+        ctx.fillStyle = 'rgba(176, 132, 255, 0.35)';
+        ctx.strokeStyle = '#b084ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x - camera.x, point.y - camera.y, 14, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        drawSprite('ghost', 'float', 0, point.x - camera.x, point.y - camera.y, 20);
+        ctx.restore();
+    }
+
+    // Starts
+    const starts = [[map.cat, 'cat', 'CAT'], [map.owner, 'owner', 'OWNER']];
+    for (let [point, sheet, label] of starts) {
+        const screenX = point.x - camera.x;
+        const screenY = point.y - camera.y;
+        drawSprite(sheet, 'idle', 0, screenX, screenY, 40);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '11px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, screenX, screenY + 32);
+    }
+
+    // Selection outline and resize handle
+    if (editor.selection) {
+        const item = getSelectedItem(editor.selection);
+        ctx.save();
+        ctx.strokeStyle = '#4ecdc4';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        if (editor.selection.type === 'obstacle') {
+            ctx.strokeRect(item.x - camera.x, item.y - camera.y, item.width, item.height);
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#4ecdc4';
+            const size = EDITOR_CONFIG.handleSize;
+            ctx.fillRect(item.x + item.width - camera.x - size / 2, item.y + item.height - camera.y - size / 2, size, size);
+        } else {
+            ctx.beginPath();
+            ctx.arc(item.x - camera.x, item.y - camera.y, EDITOR_CONFIG.pickRadius + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    // Header
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, CANVAS_WIDTH, 24);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '13px "Courier New", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(
+        `EDITOR • ${map.name} • ${map.obstacles.length} obstacles • ${map.spawns.points.length} spawn points • ` +
+        `(${Math.round(editor.mouse.x)}, ${Math.round(editor.mouse.y)})`,
+        8, 16);
+}
+
+// Mouse editing - move and release are tracked on the window so drags
+// continue outside the canvas
+canvas.addEventListener('mousedown', (e) => {
+    if (editor) onEditorMouseDown(e);
+});
+window.addEventListener('mousemove', (e) => {
+    if (editor) onEditorMouseMove(e);
+});
+window.addEventListener('mouseup', () => {
+    if (editor) onEditorMouseUp();
+});
+canvas.addEventListener('contextmenu', (e) => {
+    if (editor) e.preventDefault(); // Right-drag pans
+});
+
+// Deleting the selection
+document.addEventListener('keydown', (e) => {
+    if (!editor || ['INPUT', 'SELECT'].includes(e.target.tagName)) return;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        deleteEditorSelection();
+    } else if (e.key === 'Escape') {
+        editor.selection = null;
+    }
+});
+
+// Panel fields
+editorToolButtons.forEach(button => {
+    button.addEventListener('click', () => setEditorTool(button.dataset.editorTool));
+});
+editorKindElement.addEventListener('change', () => {
+    if (editor && editor.selection && editor.selection.type === 'obstacle') {
+        getSelectedItem(editor.selection).kind = editorKindElement.value;
+    }
+});
+editorNameElement.addEventListener('input', () => {
+    if (editor) editor.map.name = editorNameElement.value;
+});
+editorWidthElement.addEventListener('change', () => {
+    if (editor) resizeEditorWorld();
+});
+editorHeightElement.addEventListener('change', () => {
+    if (editor) resizeEditorWorld();
+});
+editorEdgeInputs.forEach(input => {
+    input.addEventListener('change', () => {
+        if (!editor) return;
+        const edges = editor.map.spawns.edges.filter(edge => edge !== input.dataset.editorEdge);
+        if (input.checked) edges.push(input.dataset.editorEdge);
+        editor.map.spawns.edges = MAP_EDGES.filter(edge => edges.includes(edge));
+    });
+});
+
+// Importing a map file
+mapFileInput.addEventListener('change', () => {
+    const file = mapFileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            editor.map = parseMap(JSON.parse(reader.result));
+        } catch (error) {
+            alert(`That file is not a valid Kuro Neko map: ${error.message}`);
+            return;
+        }
+        editor.selection = null;
+        centerEditorCamera();
+        syncEditorPanel();
+    };
+    reader.readAsText(file);
+    mapFileInput.value = ''; // Allow importing the same file again
+});
+
+// Offer the saved custom map on the start screen
+customMap = loadCustomMap();
+customMapOptionElement.disabled = !customMap;
+
+// ===== CONTROLS SCREEN =====
+
+const controlsScreenElement = document.getElementById('controlsScreen');
+const bindingsTableElement = document.getElementById('bindingsTable');
+const controlsHintElement = document.getElementById('controlsHint');
+const startInstructionsElement = document.getElementById('startInstructions');
+
+let rebinding = null;  // { player, action, slot } waiting for a key press, or null
+
+/**
+ * Readable name for a key code
+ * 
+ * @param {string|null} code - KeyboardEvent.code
+ * @returns {string}
+ */
+function formatKeyCode(code) {
+    if (!code) return '—';
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    if (arrows[code]) return arrows[code];
+    return code.replace(/^Key|^Digit/, '').replace(/^Numpad/, 'Num ');
+}
+
+/**
+ * Open the key rebinding screen from the start screen
+ */
+function openControlsScreen() {
+    startScreenElement.style.display = 'none';
+    controlsScreenElement.style.display = 'block';
+    renderBindingsTable();
+}
+
+/**
+ * Close the key rebinding screen
+ */
+function closeControlsScreen() {
+    rebinding = null;
+    controlsScreenElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+}
+
+/**
+ * Restore the default key bindings
+ */
+function resetKeyBindings() {
+    keyBindings = copyKeyBindings(DEFAULT_KEY_BINDINGS);
+    rebinding = null;
+    saveKeyBindings();
+    renderBindingsTable();
+    updateBindingLabels();
+}
+
+/**
+ * Copy every player's bindings so edits never touch the source
+ * 
+ * @param {Object[]} source - Per player, action -> [primary, secondary] key codes
+ * @returns {Object[]} - Copy
+ */
+function copyKeyBindings(source) {
+    return source.map(playerBindings => {
+        const bindings = {};
+        for (let action in playerBindings) {
+            bindings[action] = playerBindings[action].slice();
+        }
+        return bindings;
+    });
+}
+
+/**
+ * Rebuild the table of actions with two key slots per player
+ */
+function renderBindingsTable() {
+    bindingsTableElement.innerHTML = '';
+    const header = document.createElement('tr');
+    for (let title of ['', 'Player 1', '', 'Player 2 (co-op)', '']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+    bindingsTableElement.appendChild(header);
+
+    for (let action in INPUT_ACTIONS) {
+        const row = document.createElement('tr');
+        const label = document.createElement('td');
+        label.textContent = INPUT_ACTIONS[action];
+        row.appendChild(label);
+
+        for (let player = 0; player < keyBindings.length; player++) {
+            for (let slot = 0; slot < 2; slot++) {
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                const waiting = rebinding && rebinding.player === player &&
+                    rebinding.action === action && rebinding.slot === slot;
+                button.className = waiting ? 'binding-btn waiting' : 'binding-btn';
+                button.textContent = waiting ? 'Press a key…' : formatKeyCode(keyBindings[player][action][slot]);
+                button.addEventListener('click', () => {
+                    rebinding = { player: player, action: action, slot: slot };
+                    renderBindingsTable();
+                });
+                cell.appendChild(button);
+                row.appendChild(cell);
+            }
+        }
+        bindingsTableElement.appendChild(row);
+    }
+}
+
+/**
+ * Bind a key to the slot waiting for one
+ * The key is taken away from the player's other actions so one key never
+ * does two things
+ * 
+ * @param {string|null} code - KeyboardEvent.code, or null to clear the slot
+ */
+function assignBinding(code) {
+    const bindings = keyBindings[rebinding.player];
+    if (code) {
+        for (let action in bindings) {
+            bindings[action] = bindings[action].map(bound => (bound === code ? null : bound));
+        }
+    }
+    bindings[rebinding.action][rebinding.slot] = code;
+    rebinding = null;
+    saveKeyBindings();
+    renderBindingsTable();
+    updateBindingLabels();
+}
+
+/**
+ * Show the current bindings in the HUD and instructions
+ */
+function updateBindingLabels() {
+    const names = (action, player = 0) =>
+        keyBindings[player][action].filter(code => code).map(formatKeyCode).join('/') || 'unbound';
+    const move = (player = 0) => ['up', 'left', 'down', 'right']
+        .map(action => formatKeyCode(keyBindings[player][action].find(code => code) || null)).join('');
+
+    abilityHudRows.forEach((row, player) => {
+        row.pounce.textContent = `Pounce [${names('pounce', player)}]`;
+        row.hiss.textContent = `Hiss [${names('hiss', player)}]`;
+    });
+    controlsHintElement.textContent =
+        `Use ${move()} (or a gamepad) to move the cat • ${names('pounce')} to pounce • ${names('hiss')} to hiss • ` +
+        'Protect your owner from ghost enemies';
+    startInstructionsElement.replaceChildren(
+        `Use ${move()} or a gamepad to move`,
+        document.createElement('br'),
+        `${names('pounce')} to pounce, ${names('hiss')} to hiss`,
+        document.createElement('br'),
+        `Co-op player 2: ${move(1)}, ${names('pounce', 1)} to pounce, ${names('hiss', 1)} to hiss`);
+}
+
+// Capture the next key press while a slot is waiting for one
+document.addEventListener('keydown', (e) => {
+    if (!rebinding) return;
+    e.preventDefault();
+    if (e.code === 'Escape') {
+        rebinding = null;
+        renderBindingsTable();
+    } else if (e.code === 'Delete' || e.code === 'Backspace') {
+        assignBinding(null);
+    } else {
+        assignBinding(e.code);
+    }
+});
+
+updateBindingLabels();
+
+// ===== STATS SCREEN =====
+
+const statsScreenElement = document.getElementById('statsScreen');
+const leaderboardTableElement = document.getElementById('leaderboardTable');
+const modeHighScoresElement = document.getElementById('modeHighScores');
+const lifetimeStatsElement = document.getElementById('lifetimeStats');
+const caughtStatsElement = document.getElementById('caughtStats');
+const saveNoticeElement = document.getElementById('saveNotice');
+const saveFileInput = document.getElementById('saveFileInput');
+const playerNameInput = document.getElementById('playerNameInput');
+
+let statsReturnElement = null; // Overlay to show again when the stats screen closes
+
+/**
+ * Open the stats screen from the start or game over overlay
+ * 
+ * @param {HTMLElement} [from] - Overlay being replaced, shown again on close
+ */
+function openStatsScreen(from = startScreenElement) {
+    statsReturnElement = from;
+    from.style.display = 'none';
+    statsScreenElement.style.display = 'block';
+    renderStats();
+}
+
+/**
+ * Close the stats screen
+ */
+function closeStatsScreen() {
+    statsScreenElement.style.display = 'none';
+    statsReturnElement.style.display = 'block';
+}
+
+/**
+ * Fill a list with label/value rows
+ * 
+ * @param {HTMLElement} list - List element to fill
+ * @param {Array[]} rows - [label, value] pairs
+ */
+function renderStatsList(list, rows) {
+    list.innerHTML = '';
+    for (let [label, value] of rows) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        const amount = document.createElement('strong');
+        name.textContent = label;
+        amount.textContent = value;
+        item.append(name, amount);
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Rebuild the leaderboard and statistics from the save
+ */
+function renderStats() {
+    saveNoticeElement.textContent = saveResetReason
+        ? `Your saved records could not be read and were reset. ${saveResetReason}`
+        : '';
+    saveNoticeElement.style.display = saveResetReason ? 'block' : 'none';
+
+    leaderboardTableElement.innerHTML = '';
+    const header = document.createElement('tr');
+    for (let title of ['#', 'Name', 'Score', 'Mode', 'Wave', 'Time', 'Date']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+    leaderboardTableElement.appendChild(header);
+
+    saveData.leaderboard.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        const speed = entry.speed < 1 ? ` (${formatSpeed(entry.speed)})` : '';
+        const cells = [index + 1, entry.name, entry.score, GAME_MODES[entry.mode].label + speed, entry.wave,
+            formatDuration(entry.duration), new Date(entry.date).toLocaleDateString()];
+        for (let value of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        }
+        leaderboardTableElement.appendChild(row);
+    });
+    if (saveData.leaderboard.length === 0) {
+        const row = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = 7;
+        cell.textContent = 'No runs yet - go catch some ghosts!';
+        row.appendChild(cell);
+        leaderboardTableElement.appendChild(row);
+    }
+
+    const stats = saveData.stats;
+    renderStatsList(modeHighScoresElement, Object.keys(GAME_MODES)
+        .map(mode => [GAME_MODES[mode].label, saveData.highScores[mode] || 0]));
+    renderStatsList(lifetimeStatsElement, [
+        ['Runs', stats.runs],
+        ['Play time', formatDuration(stats.playTime)],
+        ['Longest survival', formatDuration(stats.longestSurvival)],
+        ['Lives lost', stats.livesLost]
+    ]);
+    const caught = Object.keys(ENEMY_TYPES).map(type => [ENEMY_TYPES[type].label, stats.ghostsCaught[type] || 0]);
+    const total = caught.reduce((sum, [, count]) => sum + count, 0);
+    renderStatsList(caughtStatsElement, [...caught, ['Total', total]]);
+}
+
+/**
+ * Download the save as a JSON file for moving records to another browser
+ */
+function exportSaveData() {
+    downloadJson(JSON.stringify({ format: SAVE_FORMAT, ...saveData }, null, 2), 'kuroneko-records.json');
+}
+
+/**
+ * Replace the save with an exported one
+ * 
+ * @param {Object} data - Parsed export file
+ * @throws {Error} - If the file is not a Kuro Neko save
+ */
+function importSaveData(data) {
+    if (!data || data.format !== SAVE_FORMAT) {
+        throw new Error('That file is not a Kuro Neko records export.');
+    }
+    saveData = parseSaveData(data);
+    saveResetReason = null; // Replaced by good records
+    writeSaveData();
+    showSelectedHighScore();
+    playerNameInput.value = saveData.playerName;
+    renderStats();
+}
+
+saveFileInput.addEventListener('change', () => {
+    const file = saveFileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const data = JSON.parse(reader.result);
+            if (confirm('Replace your leaderboard and statistics with the imported records?')) {
+                importSaveData(data);
+            }
+        } catch (error) {
+            alert(error instanceof SyntaxError ? 'That file is not valid JSON.' : error.message);
+        }
+    };
+    reader.readAsText(file);
+    saveFileInput.value = '';
+});
+
+playerNameInput.value = saveData.playerName;
+playerNameInput.addEventListener('change', () => {
+    saveData.playerName = sanitizePlayerName(playerNameInput.value);
+    playerNameInput.value = saveData.playerName;
+    writeSaveData();
+});
+
+/**
+ * Show the high score of the mode about to be played
+ */
+function showSelectedHighScore() {
+    if (gameRunning || replay) return;
+    const setup = getSelectedSetup();
+    highScoreElement.textContent = saveData.highScores[getGameMode(setup.players, setup.variant, setup.night)] || 0;
+}
+
+playersSelectElement.addEventListener('change', showSelectedHighScore);
+variantSelectElement.addEventListener('change', showSelectedHighScore);
+lightingSelectElement.addEventListener('change', showSelectedHighScore);
+
+// ===== ACHIEVEMENTS =====
+
+/**
+ * Achievements, unlocked once and kept in the save
+ * Each check() looks at the current run (and the run tracker) after every game
+ * event, so time-based ones are seen when the next event fires - survival
+ * thresholds sit on multiples of SCORING.survival.interval to land on a bonus.
+ * Lifetime ones are checked after the run is recorded on game over
+ */
+const ACHIEVEMENTS = [
+    { id: 'firstCatch', icon: '🐾', name: 'First Catch', description: 'Catch your first ghost',
+        check: () => countCaught() >= 1 },
+    { id: 'ghostHunter', icon: '👻', name: 'Ghost Hunter', description: 'Catch 50 ghosts in one run',
+        check: () => countCaught() >= 50 },
+    { id: 'exorcist', icon: '✨', name: 'Exorcist', description: 'Catch 150 ghosts in one run',
+        check: () => countCaught() >= 150 },
+    { id: 'seeingRed', icon: '🟥', name: 'Seeing Red', description: 'Catch 5 red ghosts in one run',
+        check: () => countCaught('red') >= 5 },
+    { id: 'nowYouSeeMe', icon: '🫥', name: 'Now You See Me', description: 'Catch a phantom',
+        check: () => countCaught('phantom') >= 1 },
+    { id: 'splitDecision', icon: '🪓', name: 'Split Decision', description: 'Catch 10 splitlings in one run',
+        check: () => countCaught('splitling') >= 10 },
+    { id: 'roundAndRound', icon: '🌀', name: 'Round and Round', description: 'Catch a circler',
+        check: () => countCaught('circler') >= 1 },
+    { id: 'bullfighter', icon: '🐂', name: 'Bullfighter', description: 'Catch a charger',
+        check: () => countCaught('charger') >= 1 },
+    { id: 'fullCollection', icon: '📖', name: 'Full Collection', description: 'Catch every kind of ghost in one run',
+        check: () => Object.keys(ENEMY_TYPES).every(type => countCaught(type) >= 1) },
+    { id: 'tooClose', icon: '😰', name: 'Too Close for Comfort', description: 'Make a close-call catch',
+        check: run => run.closeCalls >= 1 },
+    { id: 'nervesOfSteel', icon: '🧊', name: 'Nerves of Steel', description: 'Make 10 close-call catches in one run',
+        check: run => run.closeCalls >= 10 },
+    { id: 'inTheGroove', icon: '🎵', name: 'In the Groove', description: 'Reach a x2 combo',
+        check: () => scoring.multiplier >= 2 },
+    { id: 'purrfectRhythm', icon: '🎶', name: 'Purrfect Rhythm', description: 'Reach the top combo multiplier',
+        check: () => scoring.multiplier >= SCORING.combo.maxMultiplier },
+    { id: 'untouchable', icon: '🛡️', name: 'Untouchable', description: 'Survive 3 minutes without losing a life',
+        check: () => simulationTime >= 180 && runStats.livesLost === 0 },
+    { id: 'survivor', icon: '⏳', name: 'Survivor', description: 'Survive 5 minutes in one run',
+        check: () => simulationTime >= 300 },
+    { id: 'waveRider', icon: '🌊', name: 'Wave Rider', description: 'Reach wave 5',
+        check: () => wave.number >= 5 },
+    { id: 'stormChaser', icon: '⛈️', name: 'Storm Chaser', description: 'Reach wave 10',
+        check: () => wave.number >= 10 },
+    { id: 'century', icon: '💯', name: 'Century', description: 'Score 100 points in one run',
+        check: () => score >= 100 },
+    { id: 'highRoller', icon: '💰', name: 'High Roller', description: 'Score 500 points in one run',
+        check: () => score >= 500 },
+    { id: 'luckyCharm', icon: '🧿', name: 'Lucky Charm', description: 'Have a charm absorb a hit',
+        check: run => run.charms >= 1 },
+    { id: 'lastStand', icon: '❤️', name: 'Last Stand', description: 'Score 50 points on your last life',
+        check: run => run.lastLifeScore !== null && score - run.lastLifeScore >= 50 },
+    { id: 'teamwork', icon: '🤝', name: 'Teamwork', description: 'Have both cats catch 10 ghosts in one co-op run',
+        check: run => cats.length > 1 && cats.every(cat => (run.catchesByPlayer[cat.player] || 0) >= 10) },
+    { id: 'nightOwl', icon: '🦉', name: 'Night Owl', description: 'Catch 25 ghosts in one night run',
+        check: () => nightMode && countCaught() >= 25 },
+    { id: 'hordeBreaker', icon: '🧹', name: 'Horde Breaker', description: 'Catch 200 ghosts in one horde run',
+        check: () => runVariant === 'horde' && countCaught() >= 200 },
+    { id: 'regular', icon: '📅', name: 'Regular', description: 'Play 10 runs',
+        check: () => saveData.stats.runs >= 10 },
+    { id: 'ghostWhisperer', icon: '🔮', name: 'Ghost Whisperer', description: 'Catch 1000 ghosts in total',
+        check: () => Object.values(saveData.stats.ghostsCaught).reduce((sum, count) => sum + count, 0) >= 1000 }
+];
+
+const ACHIEVEMENT_TOAST_TIME = 4; // Seconds a toast stays up
+
+const achievementToastsElement = document.getElementById('achievementToasts');
+const achievementsScreenElement = document.getElementById('achievementsScreen');
+const achievementProgressElement = document.getElementById('achievementProgress');
+const achievementGridElement = document.getElementById('achievementGrid');
+
+let achievementRun = createAchievementRun(); // What the checks need beyond the core's run state
+let achievementsReturnElement = null;        // Overlay to show again when the gallery closes
+
+/**
+ * Run tracker for the checks, counting things the core doesn't keep
+ * 
+ * @returns {Object} - Fresh tracker
+ */
+function createAchievementRun() {
+    return {
+        closeCalls: 0,
+        charms: 0,
+        catchesByPlayer: {},  // Player index -> catches
+        lastLifeScore: null   // Score when the owner dropped to one life
+    };
+}
+
+/**
+ * Ghosts caught in the current run
+ * 
+ * @param {string} [type] - Key into ENEMY_TYPES, or every type when omitted
+ * @returns {number}
+ */
+function countCaught(type) {
+    if (type) {
+        return runStats.caught[type] || 0;
+    }
+    return Object.values(runStats.caught).reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Unlock every locked achievement whose check now passes
+ * Replays, seeks and benchmarks never unlock anything
+ */
+function checkAchievements() {
+    if (replay || benchmark || fastForwarding) return;
+    for (let achievement of ACHIEVEMENTS) {
+        if (!saveData.achievements[achievement.id] && achievement.check(achievementRun)) {
+            saveData.achievements[achievement.id] = new Date().toISOString();
+            writeSaveData();
+            gameEvents.emit('achievementUnlocked', { achievement: achievement });
+        }
+    }
+}
+
+/**
+ * Slide a toast for a newly unlocked achievement in over the canvas
+ * 
+ * @param {Object} achievement - Entry of ACHIEVEMENTS
+ */
+function showAchievementToast(achievement) {
+    const toast = document.createElement('div');
+    toast.className = 'achievement-toast';
+    const icon = document.createElement('span');
+    const title = document.createElement('strong');
+    const description = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = achievement.icon;
+    title.textContent = `Achievement unlocked: ${achievement.name}`;
+    description.textContent = achievement.description;
+    toast.append(icon, title, description);
+    achievementToastsElement.appendChild(toast);
+    setTimeout(() => toast.remove(), ACHIEVEMENT_TOAST_TIME * 1000);
+}
+
+/**
+ * Open the achievements gallery from the start or game over overlay
+ * 
+ * @param {HTMLElement} [from] - Overlay being replaced, shown again on close
+ */
+function openAchievementsScreen(from = startScreenElement) {
+    achievementsReturnElement = from;
+    from.style.display = 'none';
+    achievementsScreenElement.style.display = 'block';
+    renderAchievements();
+}
+
+/**
+ * Close the achievements gallery
+ */
+function closeAchievementsScreen() {
+    achievementsScreenElement.style.display = 'none';
+    achievementsReturnElement.style.display = 'block';
+}
+
+/**
+ * Rebuild the gallery from the save, unlocked ones showing when they were earned
+ */
+function renderAchievements() {
+    const unlocked = ACHIEVEMENTS.filter(achievement => saveData.achievements[achievement.id]).length;
+    achievementProgressElement.textContent = `${unlocked} of ${ACHIEVEMENTS.length} unlocked`;
+
+    achievementGridElement.innerHTML = '';
+    for (let achievement of ACHIEVEMENTS) {
+        const date = saveData.achievements[achievement.id];
+        const card = document.createElement('li');
+        card.className = date ? 'achievement-card' : 'achievement-card locked';
+        const icon = document.createElement('span');
+        const name = document.createElement('strong');
+        const description = document.createElement('span');
+        const status = document.createElement('small');
+        icon.className = 'achievement-icon';
+        icon.textContent = achievement.icon;
+        name.textContent = achievement.name;
+        description.textContent = achievement.description;
+        status.textContent = date ? new Date(date).toLocaleDateString() : 'Locked';
+        card.append(icon, name, description, status);
+        achievementGridElement.appendChild(card);
+    }
+}
+
+// Keep the run tracker current, then look for new unlocks; these run after the
+// shell's own handling, so game over checks see the run already recorded
+gameEvents.on('gameStarted', () => {
+    achievementRun = createAchievementRun();
+});
+gameEvents.on('ghostCaught', detail => {
+    if (detail.closeCall) {
+        achievementRun.closeCalls++;
+    }
+    const player = detail.cat.player;
+    achievementRun.catchesByPlayer[player] = (achievementRun.catchesByPlayer[player] || 0) + 1;
+});
+gameEvents.on('charmUsed', () => {
+    achievementRun.charms++;
+});
+gameEvents.on('ownerHit', detail => {
+    if (detail.lives === 1) {
+        achievementRun.lastLifeScore = score;
+    }
+});
+for (let type in GAME_EVENTS) {
+    gameEvents.on(type, checkAchievements);
+}
+
+gameEvents.on('achievementUnlocked', detail => {
+    playSound('achievement');
+    showAchievementToast(detail.achievement);
+});
+
+// ===== SETTINGS SCREEN =====
+
+const settingsScreenElement = document.getElementById('settingsScreen');
+const audioStatusElement = document.getElementById('audioStatus');
+
+// Volume slider and its percentage label for each channel
+const volumeControls = Object.keys(DEFAULT_VOLUMES).map(channel => ({
+    channel: channel,
+    input: document.getElementById(`${channel}Volume`),
+    label: document.getElementById(`${channel}VolumeValue`)
+}));
+
+const cameraZoomElement = document.getElementById('cameraZoom');
+const cameraSmoothingElement = document.getElementById('cameraSmoothing');
+
+// Checkbox for each on/off accessibility option
+const accessibilityToggles = ['markers', 'reducedMotion', 'highContrast'].map(setting => ({
+    setting: setting,
+    input: document.getElementById(`${setting}Option`)
+}));
+const gameSpeedElement = document.getElementById('gameSpeed');
+const gameSpeedValueElement = document.getElementById('gameSpeedValue');
+
+// Checkbox for each visual effect
+const effectToggles = Object.keys(DEFAULT_EFFECTS_SETTINGS).map(setting => ({
+    setting: setting,
+    input: document.getElementById(`${setting}Effect`)
+}));
+
+/**
+ * Open the settings screen from the start screen
+ */
+function openSettingsScreen() {
+    startScreenElement.style.display = 'none';
+    settingsScreenElement.style.display = 'block';
+    renderSettings();
+}
+
+/**
+ * Close the settings screen
+ */
+function closeSettingsScreen() {
+    settingsScreenElement.style.display = 'none';
+    startScreenElement.style.display = 'block';
+}
+
+/**
+ * Sync the settings controls with the saved settings
+ */
+function renderSettings() {
+    for (let control of volumeControls) {
+        const percent = Math.round(volumes[control.channel] * 100);
+        control.input.value = percent;
+        control.label.textContent = `${percent}%`;
+    }
+    audioStatusElement.textContent = audioUnavailable ? 'Sound is not available in this browser.' : '';
+    for (let toggle of effectToggles) {
+        toggle.input.checked = effectSettings[toggle.setting];
+    }
+    cameraZoomElement.value = cameraSettings.zoom;
+    cameraSmoothingElement.checked = cameraSettings.smoothing;
+    for (let toggle of accessibilityToggles) {
+        toggle.input.checked = accessibility[toggle.setting];
+    }
+    gameSpeedElement.value = Math.round(accessibility.gameSpeed * 100);
+    gameSpeedValueElement.textContent = formatSpeed(accessibility.gameSpeed);
+}
+
+for (let control of volumeControls) {
+    control.input.addEventListener('input', () => {
+        setVolume(control.channel, control.input.value / 100);
+        control.label.textContent = `${control.input.value}%`;
+    });
+    // Let the player hear the new level once they let go of the slider
+    control.input.addEventListener('change', () => playSound('catch'));
+}
+
+for (let toggle of effectToggles) {
+    toggle.input.addEventListener('change', () => setEffectSetting(toggle.setting, toggle.input.checked));
+}
+
+cameraZoomElement.addEventListener('change', () => setCameraSetting('zoom', cameraZoomElement.value));
+cameraSmoothingElement.addEventListener('change', () => setCameraSetting('smoothing', cameraSmoothingElement.checked));
+
+for (let toggle of accessibilityToggles) {
+    toggle.input.addEventListener('change', () => {
+        setAccessibilitySetting(toggle.setting, toggle.input.checked);
+        if (!gameRunning && !replay) draw(); // Show the new look on the idle world
+    });
+}
+
+gameSpeedElement.addEventListener('input', () => {
+    setAccessibilitySetting('gameSpeed', gameSpeedElement.value / 100);
+    gameSpeedValueElement.textContent = `${gameSpeedElement.value}%`;
+});
+
+// Size the canvas for this screen, which also draws the static world before the game starts
+resizeCanvas();
+
+// Handlers named in the onclick attributes of index.html (module code isn't global)
+Object.assign(window, {
+    startGame, restartGame, watchLastReplay, watchBestReplay, downloadReplay,
+    toggleReplayPause, cycleReplaySpeed, exitReplay,
+    openEditor, closeEditor, newEditorMap, exportEditorMap, playTestMap,
+    openControlsScreen, closeControlsScreen, resetKeyBindings,
+    openSettingsScreen, closeSettingsScreen, openStatsScreen, closeStatsScreen, exportSaveData,
+    openAchievementsScreen, closeAchievementsScreen,
+    startBenchmark, rerunBenchmark, closeBenchmark,
+    resumeGame, saveAndQuit, continueSavedRun
+});
@@ -0,0 +1,459 @@
+/**
+ * Simulation core tests
+ * Run with `npm test` (Node 18+); no browser or dependencies needed
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createGame, step, getState, serializeGame, restoreGame, createEventBus,
+    parseMap, serializeMap, createBlankMap, MAP_LIMITS, GAME_EVENTS,
+    circleCollision, circleRectCollision, isValidPosition,
+    createEnemy, enemies, cats, owner, activeEffects, wave,
+    ENEMY_TYPES, MAX_LIVES, WAVE_CONFIG, SCORING, TICK_RATE, WORLD_WIDTH, WORLD_HEIGHT, packInput
+} from '../core.js';
+
+/**
+ * Start a game that records the events it emits
+ * 
+ * @param {Object} [config] - Extra createGame() settings
+ * @returns {Object[]} - Emitted events, in order, as { type, detail }
+ */
+function startRecordedGame(config = {}) {
+    const events = [];
+    createGame({
+        seed: 1234,
+        theme: 'field',
+        onEvent: (type, detail) => events.push({ type, detail }),
+        ...config
+    });
+    return events;
+}
+
+/**
+ * Put an enemy at a spot, as if it had just spawned there
+ * 
+ * @param {string} typeId - Key into ENEMY_TYPES
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @returns {Object} - The enemy
+ */
+function placeEnemy(typeId, x, y) {
+    const enemy = createEnemy(typeId, x, y);
+    enemies.push(enemy);
+    return enemy;
+}
+
+describe('collisions', () => {
+    it('detects overlapping circles and ignores separate ones', () => {
+        assert.equal(circleCollision({ x: 0, y: 0, radius: 10 }, { x: 15, y: 0, radius: 10 }), true);
+        assert.equal(circleCollision({ x: 0, y: 0, radius: 10 }, { x: 25, y: 0, radius: 10 }), false);
+    });
+
+    it('detects a circle touching a rectangle edge but not its corner gap', () => {
+        const rect = { x: 100, y: 100, width: 50, height: 50 };
+        assert.equal(circleRectCollision({ x: 95, y: 120, radius: 10 }, rect), true);
+        assert.equal(circleRectCollision({ x: 90, y: 90, radius: 10 }, rect), false);
+        assert.equal(circleRectCollision({ x: 125, y: 125, radius: 1 }, rect), true);
+    });
+
+    it('rejects positions inside obstacles or outside the world', () => {
+        createGame({ seed: 1, theme: 'graveyard' });
+        const { obstacles } = getState();
+        const probe = { radius: 10 };
+        const obstacle = obstacles[0];
+
+        assert.equal(isValidPosition(probe, obstacle.x + obstacle.width / 2, obstacle.y + obstacle.height / 2), false);
+        assert.equal(isValidPosition(probe, -50, 100), false);
+        assert.equal(isValidPosition(probe, 100, WORLD_HEIGHT + 50), false);
+        assert.equal(isValidPosition(probe, owner.x, owner.y), true);
+    });
+});
+
+describe('scoring', () => {
+    let events;
+    beforeEach(() => {
+        events = startRecordedGame();
+    });
+
+    it('awards the enemy type score to the cat that catches it', () => {
+        placeEnemy('red', cats[0].x, cats[0].y);
+        step([0]);
+
+        const state = getState();
+        assert.equal(state.score, ENEMY_TYPES.red.score);
+        assert.equal(state.cats[0].score, ENEMY_TYPES.red.score);
+        assert.equal(state.enemies.length, 0);
+        assert.deepEqual(state.stats.caught, { red: 1 });
+        assert.ok(events.some(event => event.type === 'ghostCaught'));
+    });
+
+    it('credits co-op catches to whichever cat made them', () => {
+        startRecordedGame({ players: 2 });
+        placeEnemy('ghost', cats[1].x, cats[1].y);
+        step([0, 0]);
+
+        const state = getState();
+        assert.equal(state.cats[0].score, 0);
+        assert.equal(state.cats[1].score, ENEMY_TYPES.ghost.score);
+    });
+
+    it('needs one hit per hp for tougher enemies', () => {
+        const charger = placeEnemy('charger', cats[0].x, cats[0].y);
+        step([0]);
+
+        assert.equal(getState().score, 0);
+        assert.equal(charger.hp, ENEMY_TYPES.charger.hp - 1);
+        assert.ok(events.some(event => event.type === 'ghostHit'));
+    });
+
+    it('reports when the score passes the high score', () => {
+        events = startRecordedGame({ highScore: 2 });
+        for (let i = 0; i < 3; i++) {
+            placeEnemy('ghost', cats[0].x, cats[0].y);
+            step([0]);
+        }
+
+        const highScores = events.filter(event => event.type === 'highScore');
+        assert.equal(highScores.length, 1);
+        assert.deepEqual(highScores[0].detail, { score: 3, recordBroken: true });
+        assert.equal(getState().newHighScore, true);
+    });
+
+    it('never sets a high score in a benchmark', () => {
+        events = startRecordedGame({ benchmark: { count: 5, mix: { ghost: 1 }, minSpawnDistance: 300 } });
+        placeEnemy('ghost', cats[0].x, cats[0].y);
+        step([0]);
+
+        assert.ok(getState().score > 0);
+        assert.equal(events.some(event => event.type === 'highScore'), false);
+    });
+});
+
+describe('combos and bonuses', () => {
+    let events;
+    beforeEach(() => {
+        events = startRecordedGame();
+    });
+
+    /**
+     * Catch a ghost with player one's cat
+     * 
+     * @returns {number} - Points the catch scored
+     */
+    function catchGhost() {
+        placeEnemy('ghost', cats[0].x, cats[0].y);
+        step([0]);
+        return events.filter(event => event.type === 'ghostCaught').at(-1).detail.points;
+    }
+
+    /**
+     * Simulate some seconds with every enemy taken off the field first
+     * 
+     * @param {number} seconds - Time to simulate
+     */
+    function surviveFor(seconds) {
+        for (let i = 0; i < seconds * TICK_RATE; i++) {
+            enemies.length = 0;
+            step([0]);
+        }
+    }
+
+    it('raises the multiplier with quick successive catches', () => {
+        const points = [];
+        for (let i = 0; i < SCORING.combo.catchesPerStep + 1; i++) {
+            points.push(catchGhost());
+        }
+
+        assert.deepEqual(points, [1, 1, 1, 2].map(multiplier => ENEMY_TYPES.ghost.score * multiplier));
+        assert.deepEqual(getState().combo.multiplier, 2);
+        assert.ok(events.some(event => event.type === 'combo' && event.detail.multiplier === 2));
+    });
+
+    it('lets the multiplier decay one step at a time', () => {
+        for (let i = 0; i < SCORING.combo.catchesPerStep * 2 + 1; i++) {
+            catchGhost();
+        }
+        assert.equal(getState().combo.multiplier, 3);
+
+        surviveFor(SCORING.combo.window);
+        assert.equal(getState().combo.multiplier, 2);
+        surviveFor(SCORING.combo.decayTime * 2);
+        assert.equal(getState().combo.count, 0);
+        assert.equal(getState().stats.bestCombo, SCORING.combo.catchesPerStep * 2 + 1);
+    });
+
+    it('adds a close-call bonus for catches next to the owner', () => {
+        cats[0].x = owner.x + SCORING.closeCall.radius / 2;
+        cats[0].y = owner.y;
+        const points = catchGhost();
+
+        assert.equal(points, ENEMY_TYPES.ghost.score + SCORING.closeCall.points);
+        assert.equal(events.at(-1).detail.closeCall, true);
+    });
+
+    it('pays survival and growing no-damage bonuses until a life is lost', () => {
+        surviveFor(SCORING.noDamage.interval * 2);
+        let { points } = getState().stats;
+        assert.equal(points.noDamage, SCORING.noDamage.points * (1 + 2));
+        assert.equal(points.survival, SCORING.survival.points);
+
+        placeEnemy('ghost', owner.x, owner.y);
+        step([0]);
+        surviveFor(SCORING.noDamage.interval);
+        points = getState().stats.points;
+        assert.equal(points.noDamage, SCORING.noDamage.points * (1 + 2 + 1));
+    });
+
+    it('breaks the score down by source', () => {
+        for (let i = 0; i < 5; i++) {
+            catchGhost();
+        }
+        surviveFor(SCORING.survival.interval);
+
+        const { score, stats } = getState();
+        const total = Object.values(stats.points).reduce((sum, points) => sum + points, 0);
+        assert.equal(total, score);
+        assert.ok(stats.points.combo > 0);
+    });
+});
+
+describe('lives', () => {
+    let events;
+    beforeEach(() => {
+        events = startRecordedGame();
+    });
+
+    it('loses a life when an enemy reaches the owner', () => {
+        placeEnemy('ghost', owner.x, owner.y);
+        step([0]);
+
+        const state = getState();
+        assert.equal(state.lives, MAX_LIVES - 1);
+        assert.equal(state.enemies.length, 0);
+        assert.equal(state.stats.livesLost, 1);
+        assert.ok(events.some(event => event.type === 'ownerHit'));
+    });
+
+    it('lets a charm absorb one hit', () => {
+        activeEffects.charm = null;
+        placeEnemy('ghost', owner.x, owner.y);
+        step([0]);
+
+        const state = getState();
+        assert.equal(state.lives, MAX_LIVES);
+        assert.equal('charm' in state.activeEffects, false);
+    });
+
+    it('ends the game when the last life is lost', () => {
+        for (let i = 0; i < MAX_LIVES; i++) {
+            placeEnemy('ghost', owner.x, owner.y);
+            step([0]);
+        }
+
+        const state = getState();
+        assert.equal(state.lives, 0);
+        assert.equal(state.running, false);
+        assert.equal(events.filter(event => event.type === 'gameOver').length, 1);
+
+        // A finished game no longer advances
+        step([0]);
+        assert.equal(getState().tick, state.tick);
+    });
+
+    it('ends the game once when two ghosts take the last life together', () => {
+        for (let i = 0; i < MAX_LIVES - 1; i++) {
+            placeEnemy('ghost', owner.x, owner.y);
+            step([0]);
+        }
+        placeEnemy('ghost', owner.x, owner.y);
+        placeEnemy('ghost', owner.x, owner.y);
+        step([0]);
+
+        assert.equal(getState().lives, 0);
+        assert.equal(events.filter(event => event.type === 'gameOver').length, 1);
+    });
+});
+
+describe('spawn limits', () => {
+    it('waits for the first wave before spawning', () => {
+        createGame({ seed: 7, theme: 'field' });
+        const delayTicks = Math.floor(WAVE_CONFIG.firstWaveDelay * TICK_RATE) - 1;
+        for (let i = 0; i < delayTicks; i++) {
+            step([0]);
+        }
+        assert.equal(getState().enemies.length, 0);
+    });
+
+    it('never has more enemies alive than the wave allows', () => {
+        createGame({ seed: 7, theme: 'field' });
+        let peak = 0;
+        while (getState().running && wave.number <= 1) {
+            step([0]);
+            if (wave.state === 'active') {
+                assert.ok(enemies.length <= wave.definition.maxAlive);
+                peak = Math.max(peak, enemies.length);
+            }
+        }
+        assert.ok(peak > 0);
+    });
+
+    it('spawns exactly the enemies listed for the wave', () => {
+        const events = startRecordedGame({ seed: 99 });
+        while (getState().running && wave.number <= 1) {
+            step([0]);
+        }
+        const spawned = events.filter(event => event.type === 'ghostSpawned').length;
+        assert.equal(spawned, WAVE_CONFIG.waves[0].enemies.ghost);
+    });
+
+    it('scales the horde variant up to its cap', () => {
+        createGame({ seed: 7, theme: 'field', variant: 'horde' });
+        while (wave.state !== 'active') {
+            step([0]);
+        }
+        assert.ok(wave.definition.maxAlive > WAVE_CONFIG.waves[0].maxAlive);
+        assert.ok(wave.queue.length > WAVE_CONFIG.waves[0].enemies.ghost);
+    });
+});
+
+describe('maps', () => {
+    /**
+     * Map file data for a blank map with some changes
+     * 
+     * @param {Object} changes - Fields to replace
+     * @returns {Object} - Map file data
+     */
+    function mapData(changes) {
+        return { ...serializeMap(createBlankMap()), ...changes };
+    }
+
+    it('accepts the blank map', () => {
+        assert.deepEqual(parseMap(mapData({})).cat, createBlankMap().cat);
+    });
+
+    it('keeps the starts far enough from the edges to move', () => {
+        const edge = MAP_LIMITS.startMargin - 1;
+        assert.throws(() => parseMap(mapData({ cat: { x: edge, y: 500 } })), /cat\.x/);
+        assert.throws(() => parseMap(mapData({ owner: { x: 500, y: WORLD_HEIGHT - edge } })), /owner\.y/);
+    });
+
+    it('rejects obstacles that reach past the world', () => {
+        const obstacle = { x: WORLD_WIDTH - 50, y: 100, width: 100, height: 100, kind: 'rock' };
+        assert.throws(() => parseMap(mapData({ obstacles: [obstacle] })), /obstacles\[0\]\.width/);
+    });
+});
+
+describe('determinism', () => {
+    it('plays the same run from the same seed and inputs', () => {
+        const inputs = Array.from({ length: 900 }, (_, tick) =>
+            packInput(Math.cos(tick / 40), Math.sin(tick / 55), 0));
+        const play = () => {
+            createGame({ seed: 31337, theme: 'random', players: 2 });
+            for (let input of inputs) {
+                step([input, -input]);
+            }
+            return getState();
+        };
+        assert.deepEqual(play(), play());
+    });
+
+    it('stays inside the world', () => {
+        // The open field lets the cat run all the way into the top-left corner
+        createGame({ seed: 5, theme: 'field' });
+        for (let i = 0; i < TICK_RATE * 10; i++) {
+            step([packInput(-1, -1, 0)]);
+        }
+        const [cat] = cats;
+        assert.ok(cat.x >= cat.radius && cat.x <= WORLD_WIDTH - cat.radius);
+        assert.ok(cat.y >= cat.radius && cat.y <= WORLD_HEIGHT - cat.radius);
+    });
+});
+
+describe('snapshots', () => {
+    it('continues a restored run exactly where it left off', () => {
+        const inputs = Array.from({ length: 1200 }, (_, tick) =>
+            packInput(Math.sin(tick / 30), Math.cos(tick / 45), tick % 90 === 0 ? 16 : 0));
+        createGame({ seed: 2024, theme: 'graveyard', players: 2 });
+        for (let input of inputs.slice(0, 600)) {
+            step([input, input]);
+        }
+
+        // Round-trip through JSON, as when saved to storage
+        const snapshot = JSON.parse(JSON.stringify(serializeGame()));
+        for (let input of inputs.slice(600)) {
+            step([input, input]);
+        }
+        const uninterrupted = getState();
+
+        createGame({ seed: 1, theme: 'field' });
+        restoreGame(snapshot);
+        for (let input of inputs.slice(600)) {
+            step([input, input]);
+        }
+        assert.deepEqual(getState(), uninterrupted);
+    });
+
+    it('refuses snapshots from another version', () => {
+        createGame({ seed: 3, theme: 'field' });
+        const snapshot = serializeGame();
+        assert.throws(() => restoreGame({ ...snapshot, version: snapshot.version + 1 }), /different version/);
+    });
+});
+
+describe('event bus', () => {
+    it('carries the events of a run start in order', () => {
+        const bus = createEventBus();
+        const seen = [];
+        for (let type in GAME_EVENTS) {
+            bus.on(type, (detail, eventType) => seen.push({ type: eventType, detail }));
+        }
+        // Any unknown or malformed event would throw out of step()
+        createGame({ seed: 77, theme: 'field', onEvent: bus.emit });
+        for (let i = 0; i < TICK_RATE * 20; i++) {
+            step([packInput(Math.sin(i / 50), Math.cos(i / 70), 0)]);
+        }
+
+        const firstWave = WAVE_CONFIG.waves[0].enemies.ghost;
+        assert.deepEqual(seen.slice(0, firstWave + 2).map(event => event.type),
+            ['gameStarted', 'waveStarted', ...Array(firstWave).fill('ghostSpawned')]);
+        assert.equal(seen[0].detail.seed, 77);
+        assert.equal(seen[1].detail.number, 1);
+    });
+
+    it('follows each red ghost spawn with redGhostSpawned', () => {
+        const map = parseMap({
+            ...serializeMap(createBlankMap()),
+            waves: [{ enemies: { ghost: 2, red: 2 }, spawnRate: [5, 5], maxAlive: 4 }]
+        });
+        const events = startRecordedGame({ map: map });
+        for (let i = 0; i < TICK_RATE * (WAVE_CONFIG.firstWaveDelay + 2); i++) {
+            step([0]);
+        }
+
+        const redSpawns = events.filter(event => event.type === 'redGhostSpawned');
+        assert.equal(redSpawns.length, 2);
+        for (let redSpawn of redSpawns) {
+            const previous = events[events.indexOf(redSpawn) - 1];
+            assert.equal(previous.type, 'ghostSpawned');
+            assert.equal(previous.detail.enemy, redSpawn.detail.enemy);
+        }
+    });
+
+    it('rejects unknown events and missing fields', () => {
+        const bus = createEventBus();
+        assert.doesNotThrow(() => bus.on('ghostCaught', () => {}));
+        assert.throws(() => bus.on('ghostCaugth', () => {}), /Unknown event/);
+        assert.throws(() => bus.emit('ownerHit', {}), /missing "lives"/);
+    });
+
+    it('stops calling a listener once it unsubscribes', () => {
+        const bus = createEventBus({ ping: [] });
+        let calls = 0;
+        const off = bus.on('ping', () => calls++);
+        bus.emit('ping');
+        off();
+        bus.emit('ping');
+        assert.equal(calls, 1);
+    });
+});